@@ -4,7 +4,16 @@
 
 import { runSimulation } from './simulation/Simulation.js';
 import { ChartRenderer } from './visualization/ChartRenderer.js';
-import { ENCRYPTOR_TYPES } from './utils/cryptoProvider.js';
+import {
+    ENCRYPTOR_TYPES,
+    listKemSchemes,
+    listSignatureSchemes,
+    listSymmetricCiphers,
+    listElGamalCurves,
+    isCurveSupported,
+    isWebCryptoSupported,
+    supportsPads
+} from './utils/cryptoProvider.js';
 
 class SimulationApp {
     constructor() {
@@ -16,19 +25,31 @@ class SimulationApp {
         this.statusIndicator = document.getElementById('status-indicator');
         this.cryptoSchemeSelect = document.getElementById('cryptoScheme');
         this.pqcOptionsContainer = document.getElementById('pqc-options');
+        this.populationMixContainer = document.getElementById('population-mix');
+        this.elgamalOptionsContainer = document.getElementById('elgamal-options');
+        this.encryptorTypeSelect = document.getElementById('encryptorType');
+        this.teamRolesContainer = document.getElementById('team-roles');
 
         this.isRunning = false;
         this.simulationCount = 0;
+        this.runHistory = [];
 
+        this.populateSchemeSelects();
         this.setupEventListeners();
 
         this.togglePqcOptions();
+        this.toggleEncryptorTypes();
+        this.toggleTeamRoles();
     }
 
     setupEventListeners() {
         this.form.addEventListener('submit', (e) => this.handleSubmit(e));
         this.resetButton.addEventListener('click', () => this.resetResults());
-        this.cryptoSchemeSelect.addEventListener('change', () => this.togglePqcOptions());
+        this.cryptoSchemeSelect.addEventListener('change', () => {
+            this.togglePqcOptions();
+            this.toggleEncryptorTypes();
+        });
+        this.encryptorTypeSelect.addEventListener('change', () => this.toggleTeamRoles());
 
         const inputs = this.form.querySelectorAll('input[type="number"]');
         inputs.forEach(input => {
@@ -36,9 +57,84 @@ class SimulationApp {
         });
     }
     
+    populateSchemeSelects() {
+        this.populateSchemeSelect(document.getElementById('kemScheme'), listKemSchemes());
+        this.populateSchemeSelect(document.getElementById('signatureScheme'), listSignatureSchemes());
+        this.populateSchemeSelect(document.getElementById('symmetricCipher'), listSymmetricCiphers());
+        this.populateCurveSelect(document.getElementById('elgamalCurve'));
+        this.checkWebCryptoSupport();
+    }
+
+    // Older browsers lack Ed25519 and X25519 in WebCrypto
+    async checkWebCryptoSupport() {
+        const option = this.cryptoSchemeSelect.querySelector('option[value="webcrypto"]');
+        if (!option || await isWebCryptoSupported()) return;
+        option.disabled = true;
+        option.textContent += ' (not supported by this browser)';
+    }
+
+    // Curves the runtime's WebCrypto cannot use are listed but disabled
+    populateCurveSelect(select) {
+        if (!select) return;
+
+        this.populateSchemeSelect(select, listElGamalCurves());
+        Array.from(select.options).forEach(async (option) => {
+            if (await isCurveSupported(option.value)) return;
+            option.disabled = true;
+            option.textContent += ' (not supported by this browser)';
+        });
+    }
+
+    // Builds the options from the scheme registry, grouped by family when one is given
+    populateSchemeSelect(select, schemes) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        const groups = new Map();
+
+        schemes.forEach(scheme => {
+            const option = document.createElement('option');
+            option.value = scheme.id;
+            option.textContent = scheme.nistCategory
+                ? `${scheme.name} (NIST Level ${scheme.nistCategory})`
+                : scheme.name;
+            option.selected = !!scheme.isDefault;
+
+            if (!scheme.family) {
+                select.appendChild(option);
+                return;
+            }
+
+            if (!groups.has(scheme.family)) {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = scheme.family;
+                groups.set(scheme.family, optgroup);
+                select.appendChild(optgroup);
+            }
+            groups.get(scheme.family).appendChild(option);
+        });
+    }
+
     togglePqcOptions() {
-        const showPqcOptions = this.cryptoSchemeSelect.value === 'pqc';
+        const scheme = this.cryptoSchemeSelect.value;
+        const showPqcOptions = scheme === 'pqc' || scheme === 'mixed';
         this.pqcOptionsContainer.style.display = showPqcOptions ? 'block' : 'none';
+        this.populationMixContainer.style.display = scheme === 'mixed' ? 'block' : 'none';
+        this.elgamalOptionsContainer.style.display = scheme === 'elgamal' ? 'block' : 'none';
+    }
+
+    // The pad encryptor is only offered for schemes whose provider has pad cryptors
+    toggleEncryptorTypes() {
+        const padOption = this.encryptorTypeSelect.querySelector(`option[value="${ENCRYPTOR_TYPES.PAD}"]`);
+        padOption.disabled = !supportsPads(this.cryptoSchemeSelect.value);
+        if (padOption.disabled && padOption.selected) {
+            this.encryptorTypeSelect.value = ENCRYPTOR_TYPES.MAILBOX;
+            this.toggleTeamRoles();
+        }
+    }
+
+    toggleTeamRoles() {
+        this.teamRolesContainer.style.display = this.encryptorTypeSelect.value === 'team' ? 'block' : 'none';
     }
 
     validateInput(input) {
@@ -87,7 +183,8 @@ class SimulationApp {
             { id: 'edit-distribution', title: 'Edit Distribution Curve', renderer: 'renderEditDistribution' },
             { id: 'user-document-network', title: 'User-Document Network Graph', renderer: 'renderUserDocumentNetwork' },
             { id: 'performance-over-time', title: 'Performance Over Simulation Time', renderer: 'renderPerformanceOverTime' },
-            { id: 'crypto-size-comparison', title: 'Cryptographic Size Comparison', renderer: 'renderSizeComparison' }
+            { id: 'crypto-size-comparison', title: 'Cryptographic Size Comparison', renderer: 'renderSizeComparison' },
+            { id: 'scheme-comparison', title: 'Scheme Comparison Across Runs', renderer: 'renderSchemeComparison' }
         ];
 
         charts.forEach(chart => {
@@ -109,7 +206,7 @@ class SimulationApp {
         this.resultsElement.appendChild(vizContainer);
 
         // Initialize the chart renderer and render all charts
-        const chartRenderer = new ChartRenderer(analysisData);
+        const chartRenderer = new ChartRenderer(analysisData, this.runHistory);
         charts.forEach(chart => {
             chartRenderer[chart.renderer](chart.id);
         });
@@ -126,7 +223,7 @@ class SimulationApp {
             this.updateUIState('running');
 
             const params = this.getSimulationParameters();
-            this.log(`Using crypto scheme: ${params.cryptoScheme}`, 'info');
+            this.log(`Using crypto scheme: ${params.populationMix ? 'mixed population' : params.cryptoScheme}`, 'info');
             const startTime = performance.now();
 
             if (this.resultsElement.children.length === 0) {
@@ -139,6 +236,7 @@ class SimulationApp {
 
             if (result && result.analytics) {
                 result.analytics.setExecutionTime(executionTime);
+                this.recordRun(result.analytics);
                 this.renderVisualizations(result.analytics);
                 this.log(`Simulation completed in ${(executionTime / 1000).toFixed(2)} seconds`);
             }
@@ -153,6 +251,15 @@ class SimulationApp {
         }
     }
 
+    // Keeps a snapshot of each run so that schemes can be compared side by side
+    recordRun(analytics) {
+        this.runHistory.push({
+            run: this.simulationCount,
+            encryptorType: document.getElementById('encryptorType').value,
+            cryptoSizes: JSON.parse(JSON.stringify(analytics.cryptoSizes))
+        });
+    }
+
     getSimulationParameters() {
         const encryptorType = document.getElementById('encryptorType').value;
         console.log(`Using encryptor type: ${encryptorType}`);
@@ -162,14 +269,46 @@ class SimulationApp {
             numDocuments: parseInt(document.getElementById('numDocuments').value, 10),
             maxEditsPerUser: parseInt(document.getElementById('maxEditsPerUser').value, 10),
             logFrequency: parseInt(document.getElementById('logFrequency').value, 10),
+            numChats: parseInt(document.getElementById('numChats').value, 10),
+            maxMessagesPerChat: parseInt(document.getElementById('maxMessagesPerChat').value, 10),
+            fileUploads: parseInt(document.getElementById('fileUploads').value, 10),
+            fileSizeKB: parseInt(document.getElementById('fileSizeKB').value, 10),
             useDistribution: document.getElementById('useDistribution').checked,
             cryptoScheme: document.getElementById('cryptoScheme').value,
             encryptorType: encryptorType
         };
 
-        if (params.cryptoScheme === 'pqc') {
+        if (params.cryptoScheme === 'mixed') {
+            params.populationMix = {
+                pqc: parseInt(document.getElementById('mixPqc').value, 10) || 0,
+                nacl: parseInt(document.getElementById('mixNacl').value, 10) || 0,
+                hybrid: parseInt(document.getElementById('mixHybrid').value, 10) || 0
+            };
+            if (Object.values(params.populationMix).every(share => share === 0)) {
+                throw new Error('The population mix needs at least one non-zero share');
+            }
+            delete params.cryptoScheme;
+        }
+
+        if (encryptorType === 'team') {
+            params.teamRoles = {
+                viewer: parseInt(document.getElementById('viewerShare').value, 10) || 0,
+                writer: parseInt(document.getElementById('writerShare').value, 10) || 0
+            };
+            if (params.teamRoles.viewer + params.teamRoles.writer > 100) {
+                throw new Error('Viewer and writer shares cannot exceed 100%');
+            }
+        }
+
+        if (params.cryptoScheme === 'pqc' || params.populationMix) {
             params.kem = document.getElementById('kemScheme').value;
             params.signature = document.getElementById('signatureScheme').value;
+            params.symmetric = document.getElementById('symmetricCipher').value;
+            params.mailboxSignature = document.getElementById('mailboxSignature').value;
+        }
+
+        if (params.cryptoScheme === 'elgamal') {
+            params.curve = document.getElementById('elgamalCurve').value;
         }
         
         return params;
@@ -233,6 +372,8 @@ class SimulationApp {
             this.resultsElement.innerHTML = '';
         }
 
+        this.runHistory = [];
+
         this.resetLog();
         this.log('Results cleared. Ready for a new simulation.');
         this.updateUIState('ready');
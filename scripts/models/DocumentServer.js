@@ -2,6 +2,8 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import { ValidationError, MissingKeyError, UnsupportedSchemeError, getErrorCode } from '../utils/cryptoErrors.js';
+
 export class DocumentServer {
     constructor(users) {
         this.users = users || [];
@@ -11,16 +13,19 @@ export class DocumentServer {
         return this.users.find(user => user.id === userId) || null;
     }
 
+    // A delivery only succeeds when the recipient could decrypt and verify the block,
+    // failed ones carry the error code of the failure
     async broadcastSharedBlock(block, recipientIds = []) {
         if (!block) {
-            throw new Error("Invalid block: block is undefined");
+            throw new ValidationError("Invalid block: block is undefined");
         }
 
         const isTeamEncrypted = block.encryptorType === 'team' && block.teamEncrypted;
         const isMailboxEncrypted = block.encryptorType === 'mailbox' && block.encryptedVersions;
+        const isPadEncrypted = block.encryptorType === 'pad' && block.padEncrypted;
 
-        if (!isTeamEncrypted && !isMailboxEncrypted) {
-            throw new Error("Invalid block structure: missing required encryption data");
+        if (!isTeamEncrypted && !isMailboxEncrypted && !isPadEncrypted) {
+            throw new ValidationError("Invalid block structure: missing required encryption data");
         }
 
         const deliveryResults = recipientIds.map(async (recipientId) => {
@@ -28,14 +33,23 @@ export class DocumentServer {
                 const recipient = this.getUserById(recipientId);
                 
                 if (!recipient) {
-                    throw new Error(`Recipient ${recipientId} not found`);
+                    throw new MissingKeyError(`Recipient ${recipientId} not found`);
                 }
                 
                 if (!recipient.decryptAndVerifyBlock || typeof recipient.decryptAndVerifyBlock !== 'function') {
-                    throw new Error(`Recipient ${recipientId} cannot decrypt blocks (missing decryptAndVerifyBlock method)`);
+                    throw new UnsupportedSchemeError(`Recipient ${recipientId} cannot decrypt blocks (missing decryptAndVerifyBlock method)`);
                 }
                 
                 const result = await recipient.decryptAndVerifyBlock(block);
+                if (result?.valid === false) {
+                    return {
+                        recipientId,
+                        success: false,
+                        error: result.error,
+                        errorCode: result.errorCode,
+                        result
+                    };
+                }
                 return {
                     recipientId,
                     success: true,
@@ -46,7 +60,8 @@ export class DocumentServer {
                 return {
                     recipientId,
                     success: false,
-                    error: error.message
+                    error: error.message,
+                    errorCode: getErrorCode(error)
                 };
             }
         });
@@ -3,31 +3,55 @@
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
 import { MultiRecipientCrypto } from '../utils/multiRecipientCrypto.js';
-import { getCryptoProvider, CRYPTO_SCHEMES, ENCRYPTOR_TYPES } from '../utils/cryptoProvider.js';
+import { getCryptoProvider, CRYPTO_SCHEMES, ENCRYPTOR_TYPES, TEAM_ROLES } from '../utils/cryptoProvider.js';
+import { fingerprint, safetyNumber } from '../utils/keySerialization.js';
+import { UnsupportedSchemeError, getErrorCode } from '../utils/cryptoErrors.js';
 
 export class User {
-    constructor(id, cryptoScheme = CRYPTO_SCHEMES.PQC) {
+    // supportedSchemes lists the schemes this user can be reached with, most preferred first
+    constructor(id, cryptoScheme = CRYPTO_SCHEMES.PQC, cryptoOptions = {}, supportedSchemes = [cryptoScheme]) {
         this.id = id;
         this.cryptoScheme = cryptoScheme;
+        this.cryptoOptions = cryptoOptions;
+        this.supportedSchemes = supportedSchemes.includes(cryptoScheme)
+            ? supportedSchemes
+            : [cryptoScheme, ...supportedSchemes];
         this.kemKeys = null;
         this.signKeys = null;
         this.multiRecipientCrypto = null;
         this.teamKeys = null;
+        // Which team keys the user holds, see TEAM_ROLES
+        this.teamRole = TEAM_ROLES.MEMBER;
+        // Keys and team keys for the other supported schemes, by scheme
+        this.keyrings = {};
         this.stats = [];
+        // One-to-one chat operations and handshakes, kept apart from document edits
+        this.chatStats = [];
+        // Streaming file encryption and decryption
+        this.fileStats = [];
     }
 
     async init() {
         try {
-            const cryptoProvider = getCryptoProvider(this.cryptoScheme);
-            await cryptoProvider.init();
+            for (const scheme of this.supportedSchemes) {
+                const cryptoProvider = getCryptoProvider(scheme, this.cryptoOptions);
+                await cryptoProvider.init();
 
-            this.kemKeys = await cryptoProvider.generateKEMKeyPair();
+                const kemKeys = await cryptoProvider.generateKEMKeyPair();
+                const signKeys = await cryptoProvider.generateDSAKeyPair();
 
-            this.signKeys = await cryptoProvider.generateDSAKeyPair();
-
-            this.multiRecipientCrypto = new MultiRecipientCrypto(this, this.cryptoScheme);
-
-            await this.multiRecipientCrypto.init();
+                if (scheme === this.cryptoScheme) {
+                    this.kemKeys = kemKeys;
+                    this.signKeys = signKeys;
+                    this.multiRecipientCrypto = new MultiRecipientCrypto(this, scheme, this.cryptoOptions);
+                    await this.multiRecipientCrypto.init();
+                } else {
+                    const keyring = { kemKeys, signKeys, teamKeys: null };
+                    keyring.multiRecipientCrypto = new MultiRecipientCrypto(this, scheme, this.cryptoOptions, keyring);
+                    await keyring.multiRecipientCrypto.init();
+                    this.keyrings[scheme] = keyring;
+                }
+            }
 
             return true;
         } catch (error) {
@@ -36,50 +60,183 @@ export class User {
         }
     }
 
+    // The user's own keys stand for its primary scheme, other schemes use their keyring
+    getKeyring(scheme = this.cryptoScheme) {
+        if (scheme === this.cryptoScheme) return this;
+
+        const keyring = this.keyrings[scheme];
+        if (!keyring) {
+            throw new UnsupportedSchemeError(`User ${this.id} does not support the ${scheme} scheme`);
+        }
+        return keyring;
+    }
+
+    supportsScheme(scheme) {
+        return this.supportedSchemes.includes(scheme);
+    }
+
     async ensureCryptoInitialized() {
         if (!this.multiRecipientCrypto) {
-            this.multiRecipientCrypto = new MultiRecipientCrypto(this, this.cryptoScheme);
+            this.multiRecipientCrypto = new MultiRecipientCrypto(this, this.cryptoScheme, this.cryptoOptions);
         }
         return this.multiRecipientCrypto.ensureInitialized();
     }
 
-    async generateTeamKeys() {
+    async generateTeamKeys(scheme = this.cryptoScheme) {
         await this.ensureCryptoInitialized();
-        this.teamKeys = this.multiRecipientCrypto.generateTeamKeys();
-        return this.teamKeys;
+        const keyring = this.getKeyring(scheme);
+        keyring.teamKeys = keyring.multiRecipientCrypto.generateTeamKeys();
+        return keyring.teamKeys;
     }
 
-    async setTeamKeys(keys) {
+    async setTeamKeys(keys, scheme = this.cryptoScheme) {
         if (!keys) {
             console.warn(`[User ${this.id}] Attempted to set null team keys`);
             return false;
         }
         
         await this.ensureCryptoInitialized();
-        this.teamKeys = keys;
-        this.multiRecipientCrypto.setTeamKeys(keys);
+        const keyring = this.getKeyring(scheme);
+        keyring.teamKeys = keys;
+        keyring.multiRecipientCrypto.setTeamKeys(keys);
+        return true;
+    }
+
+    async createPadKeys(scheme = this.cryptoScheme, password) {
+        await this.ensureCryptoInitialized();
+        return await this.getKeyring(scheme).multiRecipientCrypto.createPadKeys(password);
+    }
+
+    async setPadKeys(documentId, keys, scheme = this.cryptoScheme) {
+        await this.ensureCryptoInitialized();
+        this.getKeyring(scheme).multiRecipientCrypto.setPadKeys(documentId, keys);
+    }
+
+    async initiateChat(peerPublicKey, scheme = this.cryptoScheme) {
+        await this.ensureCryptoInitialized();
+        return await this.getKeyring(scheme).multiRecipientCrypto.channelInitiate(peerPublicKey);
+    }
+
+    async acceptChat(peerPublicKey, handshake, scheme = this.cryptoScheme) {
+        await this.ensureCryptoInitialized();
+        return await this.getKeyring(scheme).multiRecipientCrypto.channelRespond(peerPublicKey, handshake);
+    }
+
+    async completeChat(state, handshake, scheme = this.cryptoScheme) {
+        await this.ensureCryptoInitialized();
+        return await this.getKeyring(scheme).multiRecipientCrypto.channelFinish(state, handshake);
+    }
+
+    async encryptChatMessage(channelKeys, data, options = {}) {
+        const { scheme = this.cryptoScheme, recipientScheme = null } = options;
+        await this.ensureCryptoInitialized();
+        return await this.getKeyring(scheme).multiRecipientCrypto.encryptChannelMessage(channelKeys, data, recipientScheme);
+    }
+
+    async decryptChatMessage(channelKeys, message, options = {}) {
+        const { scheme = this.cryptoScheme, senderScheme = null } = options;
+        await this.ensureCryptoInitialized();
+        return await this.getKeyring(scheme).multiRecipientCrypto.decryptChannelMessage(channelKeys, message, senderScheme);
+    }
+
+    // Both return async iterators of byte chunks, see fileStream.js
+    encryptFile(source, recipientPublicKey, options = {}) {
+        const { scheme = this.cryptoScheme, recipientScheme = null, chunkSize } = options;
+        return this.getKeyring(scheme).multiRecipientCrypto.encryptFileStream(
+            source, recipientPublicKey, recipientScheme, { chunkSize }
+        );
+    }
+
+    decryptFile(source, options = {}) {
+        const { scheme = this.cryptoScheme, senderScheme = null } = options;
+        return this.getKeyring(scheme).multiRecipientCrypto.decryptFileStream(source, senderScheme);
+    }
+
+    exportPublicKeys(scheme = this.cryptoScheme) {
+        return this.getKeyring(scheme).multiRecipientCrypto.exportPublicKeys();
+    }
+
+    // Short form of the identity for a person to compare, over the KEM and signing public keys
+    getFingerprint(scheme = this.cryptoScheme) {
+        const { kem, sign } = this.exportPublicKeys(scheme);
+        return fingerprint([kem, sign]);
+    }
+
+    // Both users get the same number, equal numbers show that neither identity was substituted
+    getSafetyNumber(peerPublicKeys, scheme = this.cryptoScheme) {
+        const { kem, sign } = this.exportPublicKeys(scheme);
+        return safetyNumber([kem, sign], [peerPublicKeys.kem, peerPublicKeys.sign]);
+    }
+
+    // Every keyring in the common serialised form, secret keys included, to persist the user
+    exportKeys() {
+        const keyrings = {};
+        for (const scheme of this.supportedSchemes) {
+            keyrings[scheme] = this.getKeyring(scheme).multiRecipientCrypto.exportKeyPairs();
+        }
+        return {
+            id: this.id,
+            cryptoScheme: this.cryptoScheme,
+            supportedSchemes: this.supportedSchemes,
+            keyrings
+        };
+    }
+
+    // Replaces the keys of an initialised user with persisted ones
+    importKeys(exported) {
+        // Every keyring is checked before any is replaced
+        const imported = Object.entries(exported.keyrings || {}).map(([scheme, keyPairs]) => {
+            if (!this.supportsScheme(scheme)) {
+                throw new UnsupportedSchemeError(`User ${this.id} does not support the ${scheme} scheme`);
+            }
+            const keyring = this.getKeyring(scheme);
+            return { keyring, ...keyring.multiRecipientCrypto.importKeyPairs(keyPairs) };
+        });
+
+        for (const { keyring, kemKeys, signKeys } of imported) {
+            keyring.kemKeys = kemKeys;
+            keyring.signKeys = signKeys;
+            keyring.multiRecipientCrypto.resetEncryptors();
+        }
         return true;
     }
 
-    hasTeamKeys() {
-        return !!this.teamKeys;
+    canWriteToTeam() {
+        return this.teamRole !== TEAM_ROLES.VIEWER;
+    }
+
+    canReadTeam() {
+        return this.teamRole !== TEAM_ROLES.WRITER;
     }
 
-    async encryptAndSignBlockForMany(data, recipientPublicKeys, encryptorType = ENCRYPTOR_TYPES.MAILBOX) {
+    hasTeamKeys(scheme = this.cryptoScheme) {
+        return !!this.getKeyring(scheme).teamKeys;
+    }
+
+    async encryptAndSignBlockForMany(data, recipientPublicKeys, encryptorType = ENCRYPTOR_TYPES.MAILBOX, options = {}) {
+        const { scheme = this.cryptoScheme, recipientScheme = null, documentId = null } = options;
+
         try {
             await this.ensureCryptoInitialized();
+            const keyring = this.getKeyring(scheme);
 
             if (encryptorType === ENCRYPTOR_TYPES.TEAM) {
-                if (!this.teamKeys) {
+                if (!keyring.teamKeys) {
                     console.log(`[User ${this.id}] Team encryption requested but no keys set, generating keys`);
-                    this.teamKeys = this.multiRecipientCrypto.generateTeamKeys();
+                    keyring.teamKeys = keyring.multiRecipientCrypto.generateTeamKeys();
                 }
-                this.multiRecipientCrypto.setTeamKeys(this.teamKeys);
+                keyring.multiRecipientCrypto.setTeamKeys(keyring.teamKeys);
             }
 
             const dataStr = typeof data === 'string' ? data : JSON.stringify(data);
 
-            return await this.multiRecipientCrypto.createSharedBlock(dataStr, recipientPublicKeys, encryptorType);
+            return await keyring.multiRecipientCrypto.createSharedBlock(
+                dataStr,
+                recipientPublicKeys,
+                encryptorType,
+                recipientScheme,
+                documentId
+            );
         } catch (error) {
             console.error(`[User ${this.id}] Failed to encrypt and sign block:`, error);
             throw error;
@@ -89,23 +246,31 @@ export class User {
     async decryptAndVerifyBlock(block) {
         try {
             await this.ensureCryptoInitialized();
+            const keyring = this.getKeyring(block.scheme || this.cryptoScheme);
 
             if (block.encryptorType === ENCRYPTOR_TYPES.TEAM) {
                 if (block.teamKeys) {
-                    this.teamKeys = block.teamKeys;
-                    this.multiRecipientCrypto.setTeamKeys(block.teamKeys);
+                    keyring.teamKeys = block.teamKeys;
+                    keyring.multiRecipientCrypto.setTeamKeys(block.teamKeys);
                     console.log(`[User ${this.id}] Using team keys from block for decryption`);
-                } else if (this.teamKeys) {
+                } else if (keyring.teamKeys) {
                     console.log(`[User ${this.id}] Using existing team keys for decryption`);
-                    this.multiRecipientCrypto.setTeamKeys(this.teamKeys);
+                    keyring.multiRecipientCrypto.setTeamKeys(keyring.teamKeys);
                 } else {
                     console.warn(`[User ${this.id}] No team keys available for team block decryption`);
                 }
             }
             
-            return await this.multiRecipientCrypto.decryptSharedBlock(block);
+            return await keyring.multiRecipientCrypto.decryptSharedBlock(block);
         } catch (error) {
             console.error(`[User ${this.id}] Failed to decrypt and verify block:`, error);
+            // decryptSharedBlock records its own failures, these happen before it is reached
+            this.stats.push({
+                scheme: block?.scheme || null,
+                schemePair: `${block?.senderScheme || block?.scheme}->${this.cryptoScheme}`,
+                error: error.message,
+                errorCode: getErrorCode(error)
+            });
             throw error;
         }
     }
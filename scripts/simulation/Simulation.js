@@ -6,7 +6,10 @@ import { User } from '../models/User.js';
 import { DocumentServer } from '../models/DocumentServer.js';
 import { Document } from "../models/Document.js";
 import { SimulationAnalytics } from './SimulationAnalytics.js';
-import {CRYPTO_SCHEMES, ENCRYPTOR_TYPES} from '../utils/cryptoProvider.js';
+import {
+    CRYPTO_SCHEMES, ENCRYPTOR_TYPES, SUPPORTED_SCHEMES, TEAM_ROLES, negotiateScheme, supportsPads
+} from '../utils/cryptoProvider.js';
+import { CRYPTO_ERROR_CODES, UnsupportedSchemeError, getErrorCode } from '../utils/cryptoErrors.js';
 
 export class Simulation {
     constructor(params = {}) {
@@ -17,14 +20,35 @@ export class Simulation {
             logFrequency: params.logFrequency || 1000,
             useDistribution: params.useDistribution || false,
             cryptoScheme: params.cryptoScheme || CRYPTO_SCHEMES.PQC,
-            encryptorType: params.encryptorType || ENCRYPTOR_TYPES.MAILBOX
+            encryptorType: params.encryptorType || ENCRYPTOR_TYPES.MAILBOX,
+            // Share of users per scheme, e.g. { pqc: 60, nacl: 30, hybrid: 10 }, overrides cryptoScheme
+            populationMix: params.populationMix || null,
+            // Percentage of viewer-only and writer-only users, e.g. { viewer: 20, writer: 10 }, team encryptor only
+            teamRoles: params.teamRoles || null,
+            kem: params.kem,
+            signature: params.signature,
+            symmetric: params.symmetric,
+            // 'plaintext' (decrypt-then-verify) or 'ciphertext' (verify-before-decrypt), PQC mailboxes only
+            mailboxSignature: params.mailboxSignature,
+            // ElGamal curve: 'p-256', 'p-384', 'p-521' or 'x25519'
+            curve: params.curve,
+            // One-to-one chat conversations run after the document edits
+            numChats: params.numChats || 0,
+            maxMessagesPerChat: params.maxMessagesPerChat || 20,
+            // Files uploaded after the chats, each read back by one recipient
+            fileUploads: params.fileUploads || 0,
+            fileSizeKB: params.fileSizeKB || 1024
         };
 
         this.users = [];
         this.documents = [];
         this.server = null;
         this.analytics = new SimulationAnalytics();
-        this.sharedTeamKeys = null;
+        // Team keys per scheme, every scheme present in the population gets its own team
+        this.sharedTeamKeys = {};
+        this.teamKeyGenerations = {};
+        // Pad keys per document and scheme, created by the first editor as with a new pad
+        this.padKeyGenerations = {};
 
         this.logElement = document.getElementById("simulation-log");
         this.resultsElement = document.getElementById("results");
@@ -54,6 +78,8 @@ export class Simulation {
             await this.initializeUsers();
             await this.initializeDocuments();
             await this.simulateUserActivity();
+            await this.simulateChats();
+            await this.simulateFileUploads();
 
             this.log("<br>Simulation completed.");
             this.displayResults();
@@ -85,10 +111,36 @@ export class Simulation {
     async initializeUsers() {
         this.log("Initializing users...");
         const { numUsers } = this.config;
-        const cryptoScheme = this.config.cryptoScheme;
+        const userSchemes = this.assignUserSchemes(numUsers);
+        const teamRoles = this.assignTeamRoles(numUsers);
+        const populationSchemes = [...new Set(userSchemes)];
+        const cryptoOptions = this.getCryptoOptions(populationSchemes);
+
+        // Fails the run up front rather than every edit
+        if (this.config.encryptorType === ENCRYPTOR_TYPES.PAD) {
+            const unsupported = populationSchemes.find(scheme => !supportsPads(scheme));
+            if (unsupported) {
+                throw new UnsupportedSchemeError(`Pads are not supported by the ${unsupported} scheme`);
+            }
+        }
+
+        if (populationSchemes.length > 1) {
+            const counts = populationSchemes
+                .map(scheme => `${userSchemes.filter(s => s === scheme).length} ${scheme}`);
+            this.log(`Mixed population: ${counts.join(', ')}`);
+        }
+
+        // Only the schemes present in the population need keys, and NaCl for the file baseline
+        const keySchemes = this.config.fileUploads > 0
+            ? [...populationSchemes, CRYPTO_SCHEMES.NACL]
+            : populationSchemes;
 
         for (let i = 0; i < numUsers; i++) {
-            const user = new User(i, cryptoScheme);
+            const cryptoScheme = userSchemes[i];
+            const supportedSchemes = (SUPPORTED_SCHEMES[cryptoScheme] || [cryptoScheme])
+                .filter(scheme => keySchemes.includes(scheme));
+            const user = new User(i, cryptoScheme, cryptoOptions, supportedSchemes);
+            user.teamRole = teamRoles[i];
             const success = await user.init();
 
             if (!success) {
@@ -105,6 +157,80 @@ export class Simulation {
         this.server = new DocumentServer(this.users);
     }
 
+    // Splits the users between schemes following populationMix
+    assignUserSchemes(numUsers) {
+        const mix = Object.entries(this.config.populationMix || {}).filter(([, share]) => share > 0);
+        if (mix.length === 0) {
+            return new Array(numUsers).fill(this.config.cryptoScheme);
+        }
+
+        const knownSchemes = Object.values(CRYPTO_SCHEMES);
+        const unknown = mix.find(([scheme]) => !knownSchemes.includes(scheme));
+        if (unknown) {
+            throw new Error(`Unknown crypto scheme in population mix: ${unknown[0]}`);
+        }
+
+        return this.allocateShares(numUsers, mix);
+    }
+
+    // Viewers and writers are spread over the population, the other users are full members
+    assignTeamRoles(numUsers) {
+        const restricted = Object.entries(this.config.teamRoles || {}).filter(([, share]) => share > 0);
+        if (this.config.encryptorType !== ENCRYPTOR_TYPES.TEAM || restricted.length === 0) {
+            return new Array(numUsers).fill(TEAM_ROLES.MEMBER);
+        }
+
+        const unknown = restricted.find(([role]) => ![TEAM_ROLES.VIEWER, TEAM_ROLES.WRITER].includes(role));
+        if (unknown) {
+            throw new Error(`Unknown team role: ${unknown[0]}`);
+        }
+
+        const restrictedShare = restricted.reduce((sum, [, share]) => sum + share, 0);
+        if (restrictedShare > 100) {
+            throw new Error('Viewer and writer shares cannot exceed 100%');
+        }
+
+        const roles = this.allocateShares(numUsers, [...restricted, [TEAM_ROLES.MEMBER, 100 - restrictedShare]]);
+        const counts = [TEAM_ROLES.MEMBER, TEAM_ROLES.VIEWER, TEAM_ROLES.WRITER]
+            .map(role => `${roles.filter(r => r === role).length} ${role}s`);
+        this.log(`Team roles: ${counts.join(', ')}`);
+
+        return roles.sort(() => Math.random() - 0.5);
+    }
+
+    // Largest remainder method, so that the counts always add up to numUsers
+    allocateShares(numUsers, mix) {
+        const totalShare = mix.reduce((sum, [, share]) => sum + share, 0);
+        const allocations = mix.map(([scheme, share]) => {
+            const exact = numUsers * share / totalShare;
+            return { scheme, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+
+        const unassigned = numUsers - allocations.reduce((sum, allocation) => sum + allocation.count, 0);
+        [...allocations]
+            .sort((a, b) => b.remainder - a.remainder)
+            .slice(0, unassigned)
+            .forEach(allocation => allocation.count++);
+
+        return allocations.flatMap(({ scheme, count }) => new Array(count).fill(scheme));
+    }
+
+    getCryptoOptions(schemes = [this.config.cryptoScheme]) {
+        const pqcSchemes = [CRYPTO_SCHEMES.PQC, CRYPTO_SCHEMES.HYBRID];
+        const options = {};
+
+        if (schemes.some(scheme => pqcSchemes.includes(scheme))) {
+            if (this.config.kem) options.kem = this.config.kem;
+            if (this.config.signature) options.signature = this.config.signature;
+            if (this.config.symmetric) options.symmetric = this.config.symmetric;
+            if (this.config.mailboxSignature) options.mailboxSignature = this.config.mailboxSignature;
+        }
+        if (schemes.includes(CRYPTO_SCHEMES.ELGAMAL) && this.config.curve) {
+            options.curve = this.config.curve;
+        }
+        return options;
+    }
+
     async initializeDocuments() {
         const { numDocuments } = this.config;
         this.log(`Creating ${numDocuments} documents and assigning editors...`);
@@ -154,6 +280,11 @@ export class Simulation {
         const editableDocuments = this.documents.filter(doc => doc.editors.has(user.id));
         if (editableDocuments.length === 0) return;
 
+        if (!user.canWriteToTeam()) {
+            this.log(`User ${user.id} is a viewer and only reads`);
+            return;
+        }
+
         const totalEdits = useDistribution
             ? Simulation.randomGenerators.uniform(1, 50000)
             : Simulation.randomGenerators.uniform(1, maxEditsPerUser);
@@ -176,6 +307,171 @@ export class Simulation {
     }
 
 
+    // Two users open a channel, as for a contact chat in CryptPad, and take turns sending messages
+    async simulateChats() {
+        const { numChats, maxMessagesPerChat } = this.config;
+        if (numChats <= 0 || this.users.length < 2) return;
+
+        this.log(`<br>Starting ${numChats} chat conversations:`);
+
+        for (let i = 0; i < numChats; i++) {
+            const [initiator, responder] = [...this.users].sort(() => Math.random() - 0.5);
+            const scheme = negotiateScheme(initiator.supportedSchemes, responder.supportedSchemes);
+
+            if (!scheme) {
+                initiator.chatStats.push({
+                    scheme: null,
+                    schemePair: `${initiator.cryptoScheme}->${responder.cryptoScheme}`,
+                    undeliverable: 1,
+                    error: 'No scheme supported by both sender and recipient',
+                    errorCode: CRYPTO_ERROR_CODES.UNSUPPORTED_SCHEME
+                });
+                this.log(`<span style="color: orange">Warning: Chat ${i} not opened, User ${initiator.id} and User ${responder.id} share no scheme</span>`);
+                continue;
+            }
+
+            try {
+                const channel = await this.openChat(initiator, responder, scheme);
+                const numMessages = Simulation.randomGenerators.uniform(1, maxMessagesPerChat);
+
+                for (let j = 0; j < numMessages; j++) {
+                    const [sender, recipient] = j % 2 === 0 ? [initiator, responder] : [responder, initiator];
+                    await this.sendChatMessage(sender, recipient, channel, `Message ${j} in Chat ${i} by User ${sender.id}`);
+                }
+
+                this.log(`Chat ${i} between User ${initiator.id} and User ${responder.id} exchanged ${numMessages} ${scheme} messages`);
+            } catch (error) {
+                console.error(`Chat ${i} failed:`, error);
+                initiator.chatStats.push({
+                    scheme,
+                    schemePair: `${initiator.cryptoScheme}->${responder.cryptoScheme}`,
+                    error: error.message,
+                    errorCode: getErrorCode(error)
+                });
+                this.log(`<span style="color: orange">Warning: Chat ${i} failed (${getErrorCode(error)}): ${error.message}</span>`);
+            }
+        }
+    }
+
+    // The handshake is timed from the first message to the keys on both sides
+    async openChat(initiator, responder, scheme) {
+        const startTime = performance.now();
+        const initiatorKeyring = initiator.getKeyring(scheme);
+        const responderKeyring = responder.getKeyring(scheme);
+
+        const { handshake, state } = await initiator.initiateChat(responderKeyring.kemKeys.publicKey, scheme);
+        const response = await responder.acceptChat(initiatorKeyring.kemKeys.publicKey, handshake, scheme);
+        const initiatorKeys = await initiator.completeChat(state, response.handshake, scheme);
+
+        const mrc = initiatorKeyring.multiRecipientCrypto;
+        initiator.chatStats.push({
+            scheme,
+            schemePair: `${initiator.cryptoScheme}->${responder.cryptoScheme}`,
+            handshakeTime: performance.now() - startTime,
+            handshakeSize: mrc.measureHandshake(handshake) + mrc.measureHandshake(response.handshake),
+            // Messages sent before the channel can be used, none for Curve
+            handshakeMessages: [handshake, response.handshake].filter(Boolean).length
+        });
+
+        return {
+            scheme,
+            keys: { [initiator.id]: initiatorKeys, [responder.id]: response.keys }
+        };
+    }
+
+    async sendChatMessage(sender, recipient, channel, text) {
+        const { message } = await sender.encryptChatMessage(channel.keys[sender.id], text, {
+            scheme: channel.scheme,
+            recipientScheme: recipient.cryptoScheme
+        });
+        const { data } = await recipient.decryptChatMessage(channel.keys[recipient.id], message, {
+            scheme: channel.scheme,
+            senderScheme: sender.cryptoScheme
+        });
+
+        if (data !== text) {
+            throw new Error(`Chat message from User ${sender.id} does not match after decryption`);
+        }
+    }
+
+    // Each file goes through the negotiated scheme and, as the baseline, through the NaCl
+    // secretbox path whenever both users can also use it
+    async simulateFileUploads() {
+        const { fileUploads, fileSizeKB } = this.config;
+        if (fileUploads <= 0 || this.users.length < 2) return;
+
+        this.log(`<br>Starting ${fileUploads} file uploads of ${fileSizeKB} KB:`);
+
+        for (let i = 0; i < fileUploads; i++) {
+            const [uploader, recipient] = [...this.users].sort(() => Math.random() - 0.5);
+            const scheme = negotiateScheme(uploader.supportedSchemes, recipient.supportedSchemes);
+
+            if (!scheme) {
+                this.log(`<span style="color: orange">Warning: File ${i} not uploaded, User ${uploader.id} and User ${recipient.id} share no scheme</span>`);
+                continue;
+            }
+
+            const schemes = [scheme];
+            if (scheme !== CRYPTO_SCHEMES.NACL &&
+                uploader.supportsScheme(CRYPTO_SCHEMES.NACL) && recipient.supportsScheme(CRYPTO_SCHEMES.NACL)) {
+                schemes.push(CRYPTO_SCHEMES.NACL);
+            }
+
+            for (const fileScheme of schemes) {
+                try {
+                    await this.uploadFile(uploader, recipient, fileScheme, fileSizeKB * 1024);
+                    this.log(`File ${i} from User ${uploader.id} read by User ${recipient.id} with ${fileScheme}`);
+                } catch (error) {
+                    console.error(`File ${i} failed:`, error);
+                    recipient.fileStats.push({
+                        scheme: fileScheme,
+                        operation: 'failure',
+                        error: error.message,
+                        errorCode: getErrorCode(error)
+                    });
+                    this.log(`<span style="color: orange">Warning: File ${i} failed with ${fileScheme} (${getErrorCode(error)}): ${error.message}</span>`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    }
+
+    async uploadFile(uploader, recipient, scheme, fileSize) {
+        const encrypted = [];
+        const recipientPublicKey = recipient.getKeyring(scheme).kemKeys.publicKey;
+        for await (const record of uploader.encryptFile(Simulation.fileContent(fileSize), recipientPublicKey, {
+            scheme,
+            recipientScheme: recipient.cryptoScheme
+        })) {
+            encrypted.push(record);
+        }
+
+        let offset = 0;
+        for await (const chunk of recipient.decryptFile(encrypted, { scheme, senderScheme: uploader.cryptoScheme })) {
+            for (let i = 0; i < chunk.length; i++) {
+                if (chunk[i] !== ((offset + i) & 0xff)) {
+                    throw new Error(`File content differs at byte ${offset + i}`);
+                }
+            }
+            offset += chunk.length;
+        }
+
+        if (offset !== fileSize) {
+            throw new Error(`File read back with ${offset} of its ${fileSize} bytes`);
+        }
+    }
+
+    // Known content, produced in pieces as a browser File stream would
+    static async *fileContent(size, pieceSize = 64 * 1024) {
+        for (let offset = 0; offset < size; offset += pieceSize) {
+            const piece = new Uint8Array(Math.min(pieceSize, size - offset));
+            for (let i = 0; i < piece.length; i++) {
+                piece[i] = (offset + i) & 0xff;
+            }
+            yield piece;
+        }
+    }
+
     selectDocumentToEdit(user, editableDocuments) {
         const { useDistribution } = this.config;
 
@@ -203,95 +499,184 @@ export class Simulation {
             await user.ensureCryptoInitialized();
             const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
 
-            if (this.config.encryptorType === ENCRYPTOR_TYPES.TEAM) {
-                try {
-                    if (!user.hasTeamKeys()) {
-                        if (!this.sharedTeamKeys) {
-                            console.log("[Simulation] Generating shared team keys for the simulation");
-                            this.sharedTeamKeys = await user.generateTeamKeys();
-                        } else {
-                            console.log("[Simulation] Using existing shared team keys");
-                            await user.setTeamKeys(this.sharedTeamKeys);
-                        }
-                    }
+            if (recipientIds.length === 0) {
+                // Nobody else edits the document, the edit is only encrypted for its author
+                await this.sendBlock(user, doc, messageStr, {
+                    scheme: user.cryptoScheme,
+                    recipientScheme: user.cryptoScheme,
+                    recipients: []
+                });
+                return;
+            }
 
-                    for (const recipientId of recipientIds) {
-                        const recipient = this.server.users.find(u => u.id === recipientId);
-                        if (recipient) {
-                            await recipient.setTeamKeys(this.sharedTeamKeys);
-                            await recipient.ensureCryptoInitialized();
-                        }
-                    }
+            for (const group of this.groupRecipientsByScheme(user, recipientIds)) {
+                if (!group.scheme) {
+                    this.recordUndeliverable(user, doc, group);
+                    continue;
+                }
+                await this.sendBlock(user, doc, messageStr, group);
+            }
+        } catch (error) {
+            console.error(`Failed to broadcast message:`, error);
+            user.stats.push({
+                scheme: user.cryptoScheme,
+                error: error.message,
+                errorCode: getErrorCode(error)
+            });
+            this.log(`<span style="color: orange">Warning: Failed to broadcast document ${doc.id} edit (${getErrorCode(error)}): ${error.message}</span>`);
+        }
+    }
 
-                    const recipientPublicKey = recipientIds.length > 0 
-                        ? this.server.users.find(u => u.id === recipientIds[0])?.kemKeys.publicKey 
-                        : user.kemKeys.publicKey;
-                        
-                    if (!recipientPublicKey) {
-                        throw new Error("Could not find recipient public key for team encryption");
-                    }
-                    
-                    console.log(`[Simulation] Creating team encrypted block for message: ${messageStr.substring(0, 20)}...`);
-                    const block = await user.encryptAndSignBlockForMany(
-                        messageStr, 
-                        [recipientPublicKey], 
-                        ENCRYPTOR_TYPES.TEAM
-                    );
-                    
-                    if (!block || !block.teamEncrypted) {
-                        throw new Error("Team encryption failed to produce valid block");
-                    }
-                    
-                    block.documentId = doc.id;
-                    block.signPublicKey = user.signKeys.publicKey;
-
-                    if (recipientIds.length > 0) {
-                        console.log(`[Simulation] Broadcasting team encrypted block to ${recipientIds.length} recipients`);
-                        const results = await this.server.broadcastSharedBlock(block, recipientIds);
-
-                        const failures = results.filter(r => !r.success);
-                        if (failures.length > 0) {
-                            console.warn(`[Simulation] Failed to deliver to ${failures.length} recipients:`, 
-                                failures.map(f => `User ${f.recipientId}: ${f.error}`).join(', '));
-                        }
-                    }
-                } catch (error) {
-                    console.error("Team encryption/delivery error:", error);
-                    throw error;
+    // Recipients are grouped by the kind of client they run, each group gets one block
+    // in the scheme negotiated between the sender and that kind of client
+    groupRecipientsByScheme(user, recipientIds) {
+        const groups = new Map();
+
+        for (const recipientId of recipientIds) {
+            const recipient = this.server.getUserById(recipientId);
+            if (!recipient) continue;
+
+            if (!groups.has(recipient.cryptoScheme)) {
+                groups.set(recipient.cryptoScheme, {
+                    scheme: negotiateScheme(user.supportedSchemes, recipient.supportedSchemes),
+                    recipientScheme: recipient.cryptoScheme,
+                    recipients: []
+                });
+            }
+            groups.get(recipient.cryptoScheme).recipients.push(recipient);
+        }
+
+        return [...groups.values()];
+    }
+
+    recordUndeliverable(user, doc, group) {
+        const schemePair = `${user.cryptoScheme}->${group.recipientScheme}`;
+        user.stats.push({
+            scheme: null,
+            schemePair,
+            undeliverable: group.recipients.length,
+            error: 'No scheme supported by both sender and recipient',
+            errorCode: CRYPTO_ERROR_CODES.UNSUPPORTED_SCHEME
+        });
+        console.warn(`[Simulation] User ${user.id} shares no scheme with ${group.recipients.length} recipients (${schemePair})`);
+        this.log(`<span style="color: orange">Warning: Document ${doc.id} edit not delivered to ${group.recipients.length} ${group.recipientScheme} users</span>`);
+    }
+
+    // Users start sending concurrently, they all wait for the first generation of a
+    // scheme's team keys instead of each creating a team of their own
+    async getSharedTeamKeys(user, scheme) {
+        if (!this.teamKeyGenerations[scheme]) {
+            console.log(`[Simulation] Generating shared ${scheme} team keys for the simulation`);
+            this.teamKeyGenerations[scheme] = user.generateTeamKeys(scheme);
+        } else {
+            console.log(`[Simulation] Using existing shared ${scheme} team keys`);
+        }
+        this.sharedTeamKeys[scheme] = await this.teamKeyGenerations[scheme];
+        return this.sharedTeamKeys[scheme];
+    }
+
+    // Every editor of a document holds its edit keys, as when opening the pad's edit link
+    getPadKeys(user, doc, scheme) {
+        const padId = `${doc.id}:${scheme}`;
+        if (!this.padKeyGenerations[padId]) {
+            console.log(`[Simulation] Creating ${scheme} pad keys for document ${doc.id}`);
+            this.padKeyGenerations[padId] = user.createPadKeys(scheme);
+        }
+        return this.padKeyGenerations[padId];
+    }
+
+    async sendBlock(user, doc, messageStr, { scheme, recipientScheme, recipients }) {
+        const recipientIds = recipients.map(recipient => recipient.id);
+        const blockOptions = { scheme, recipientScheme, documentId: doc.id };
+        const ownKeys = user.getKeyring(scheme);
+
+        if (this.config.encryptorType === ENCRYPTOR_TYPES.PAD) {
+            const padKeys = await this.getPadKeys(user, doc, scheme);
+            await user.setPadKeys(doc.id, padKeys, scheme);
+            for (const recipient of recipients) {
+                await recipient.setPadKeys(doc.id, padKeys, scheme);
+            }
+
+            const block = await user.encryptAndSignBlockForMany(messageStr, [], ENCRYPTOR_TYPES.PAD, blockOptions);
+            block.signPublicKey = ownKeys.signKeys.publicKey;
+
+            if (recipientIds.length > 0) {
+                const results = await this.server.broadcastSharedBlock(block, recipientIds);
+                const failures = results.filter(r => !r.success);
+                if (failures.length > 0) {
+                    console.warn(`[Simulation] Failed to deliver to ${failures.length} recipients:`,
+                        failures.map(f => `User ${f.recipientId}: ${f.error} (${f.errorCode})`).join(', '));
                 }
-            } else {
-                if (recipientIds.length > 0) {
-                    const recipientPublicKeys = recipientIds
-                        .map(id => this.server.users.find(u => u.id === id))
-                        .filter(recipient => recipient)
-                        .map(recipient => recipient.kemKeys.publicKey);
-
-                    if (recipientPublicKeys.length > 0) {
-                        const block = await user.encryptAndSignBlockForMany(
-                            messageStr, 
-                            recipientPublicKeys, 
-                            ENCRYPTOR_TYPES.MAILBOX
-                        );
-
-                        block.signPublicKey = user.signKeys.publicKey;
-                        block.documentId = doc.id;
-
-                        await this.server.broadcastSharedBlock(block, recipientIds);
+            }
+        } else if (this.config.encryptorType === ENCRYPTOR_TYPES.TEAM) {
+            try {
+                if (!user.hasTeamKeys(scheme)) {
+                    await user.setTeamKeys(await this.getSharedTeamKeys(user, scheme), scheme);
+                }
+
+                for (const recipient of recipients) {
+                    await recipient.setTeamKeys(this.sharedTeamKeys[scheme], scheme);
+                    await recipient.ensureCryptoInitialized();
+                }
+
+                const recipientPublicKey = recipients.length > 0
+                    ? recipients[0].getKeyring(scheme).kemKeys?.publicKey
+                    : ownKeys.kemKeys.publicKey;
+
+                if (!recipientPublicKey) {
+                    throw new Error("Could not find recipient public key for team encryption");
+                }
+
+                console.log(`[Simulation] Creating team encrypted block for message: ${messageStr.substring(0, 20)}...`);
+                const block = await user.encryptAndSignBlockForMany(
+                    messageStr,
+                    [recipientPublicKey],
+                    ENCRYPTOR_TYPES.TEAM,
+                    blockOptions
+                );
+
+                if (!block || !block.teamEncrypted) {
+                    throw new Error("Team encryption failed to produce valid block");
+                }
+
+                block.documentId = doc.id;
+                block.signPublicKey = ownKeys.signKeys.publicKey;
+
+                // Writer-only members cannot read the team's messages, nothing is delivered to them
+                const readerIds = recipients.filter(recipient => recipient.canReadTeam()).map(recipient => recipient.id);
+
+                if (readerIds.length > 0) {
+                    console.log(`[Simulation] Broadcasting team encrypted block to ${readerIds.length} recipients`);
+                    const results = await this.server.broadcastSharedBlock(block, readerIds);
+
+                    const failures = results.filter(r => !r.success);
+                    if (failures.length > 0) {
+                        console.warn(`[Simulation] Failed to deliver to ${failures.length} recipients:`,
+                            failures.map(f => `User ${f.recipientId}: ${f.error} (${f.errorCode})`).join(', '));
                     }
-                } else {
-                    const block = await user.encryptAndSignBlockForMany(
-                        messageStr, 
-                        [user.kemKeys.publicKey], 
-                        ENCRYPTOR_TYPES.MAILBOX
-                    );
-
-                    block.signPublicKey = user.signKeys.publicKey;
-                    block.documentId = doc.id;
                 }
+            } catch (error) {
+                console.error("Team encryption/delivery error:", error);
+                throw error;
+            }
+        } else {
+            const recipientPublicKeys = recipients.length > 0
+                ? recipients.map(recipient => recipient.getKeyring(scheme).kemKeys.publicKey)
+                : [ownKeys.kemKeys.publicKey];
+
+            const block = await user.encryptAndSignBlockForMany(
+                messageStr,
+                recipientPublicKeys,
+                ENCRYPTOR_TYPES.MAILBOX,
+                blockOptions
+            );
+
+            block.signPublicKey = ownKeys.signKeys.publicKey;
+            block.documentId = doc.id;
+
+            if (recipientIds.length > 0) {
+                await this.server.broadcastSharedBlock(block, recipientIds);
             }
-        } catch (error) {
-            console.error(`Failed to broadcast message:`, error);
-            this.log(`<span style="color: orange">Warning: Failed to broadcast document ${doc.id} edit: ${error.message}</span>`);
         }
     }
 
@@ -370,11 +755,24 @@ export class Simulation {
                     <span class="stat-label">Verification:</span>
                     <span class="stat-value">${stats.verifyTime.toFixed(2)} ms</span>
                 </div>
+                <div class="stat-row">
+                    <span class="stat-label">Fingerprint:</span>
+                    <span class="stat-value fingerprint">${this.userFingerprint(user)}</span>
+                </div>
             `;
             userContainer.appendChild(userCard);
         });
     }
 
+    userFingerprint(user) {
+        try {
+            return user.getFingerprint();
+        } catch (error) {
+            console.warn(`[Simulation] No fingerprint for User ${user.id}:`, error);
+            return 'N/A';
+        }
+    }
+
     calculateUserStats(user) {
         const getAverage = (statsArray, property) => {
             const filteredStats = statsArray.filter(s => s[property] > 0);
@@ -428,16 +826,149 @@ export class Simulation {
                 </div>
                 <div>
                     <h3>Cryptography Performance</h3>
+                    <p>KEM: ${this.analytics.cryptoSizes.kemScheme}</p>
+                    <p>Signature: ${this.analytics.cryptoSizes.signatureScheme}</p>
+                    <p>Symmetric Cipher: ${this.analytics.cryptoSizes.symmetricCipher}</p>
                     <p>Average Encrypt Time: ${summary.cryptoPerformance.averageEncryptTime.toFixed(2)} ms</p>
                     <p>Average Sign Time: ${summary.cryptoPerformance.averageSignTime.toFixed(2)} ms</p>
                     <p>Average Decrypt Time: ${summary.cryptoPerformance.averageDecryptTime.toFixed(2)} ms</p>
                     <p>Average Verify Time: ${summary.cryptoPerformance.averageVerifyTime.toFixed(2)} ms</p>
+                    <p>Average Symmetric Cipher Time: ${summary.cryptoPerformance.averageSymmetricTime.toFixed(2)} ms</p>
+                    <p>Average Key Derivation Time: ${summary.cryptoPerformance.averageKeyDerivationTime.toFixed(2)} ms</p>
+                    <p>Average Message Size on the Wire: ${this.analytics.cryptoSizes.messages.wireSize} B</p>
+                    <p>Mailbox Signature: ${this.analytics.cryptoSizes.mailboxSignature}</p>
+                    <p>Average Time to Verify a Message: ${summary.cryptoPerformance.averageVerificationLatency.toFixed(2)} ms</p>
                 </div>
             </div>
+            ${this.renderSchemePairSummary()}
+            ${this.renderChatSummary()}
+            ${this.renderFileSummary()}
+            ${this.renderIdentitySummary()}
         `;
 
         this.resultsElement.appendChild(summaryDiv);
     }
+
+    // Only shown for mixed populations, a single scheme has a single pair
+    renderSchemePairSummary() {
+        const population = this.analytics.population;
+        if (Object.keys(population).length <= 1) return '';
+
+        const rows = this.analytics.schemePairStats.map(pair => `
+            <tr>
+                <td>${pair.schemePair}</td>
+                <td>${pair.scheme || 'none'}</td>
+                <td>${pair.encryptOperations}</td>
+                <td>${pair.averageEncryptTime.toFixed(2)} ms</td>
+                <td>${pair.averageSignTime.toFixed(2)} ms</td>
+                <td>${pair.averageDecryptTime.toFixed(2)} ms</td>
+                <td>${pair.averageVerifyTime.toFixed(2)} ms</td>
+                <td>${pair.averageCiphertextSize} B</td>
+                <td>${pair.averageWireSize} B</td>
+                <td>${pair.undeliverable}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <h3>Cost per Scheme Pair</h3>
+            <p>Population: ${Object.entries(population).map(([scheme, count]) => `${count} ${scheme}`).join(', ')}</p>
+            <table style="width:100%;border-collapse:collapse">
+                <thead>
+                    <tr>
+                        <th>Sender &rarr; Recipient</th><th>Scheme Used</th><th>Blocks</th>
+                        <th>Encrypt</th><th>Sign</th><th>Decrypt</th><th>Verify</th>
+                        <th>Ciphertext</th><th>Wire Size</th><th>Undelivered</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderChatSummary() {
+        const chatStats = this.analytics.chatStats;
+        if (chatStats.length === 0) return '';
+
+        const rows = chatStats.map(chat => `
+            <tr>
+                <td>${chat.scheme}</td>
+                <td>${chat.conversations}</td>
+                <td>${chat.handshakeMessages}</td>
+                <td>${chat.averageHandshakeTime.toFixed(2)} ms</td>
+                <td>${chat.averageHandshakeSize} B</td>
+                <td>${chat.messages}</td>
+                <td>${chat.averageEncryptTime.toFixed(2)} ms</td>
+                <td>${chat.averageSignTime.toFixed(2)} ms</td>
+                <td>${chat.averageDecryptTime.toFixed(2)} ms</td>
+                <td>${chat.averageWireSize} B</td>
+                <td>${chat.undeliverable}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <h3>Chat Channels</h3>
+            <table style="width:100%;border-collapse:collapse">
+                <thead>
+                    <tr>
+                        <th>Scheme</th><th>Chats</th><th>Handshake Messages</th>
+                        <th>Handshake</th><th>Handshake Size</th><th>Messages</th>
+                        <th>Encrypt</th><th>Sign</th><th>Decrypt</th><th>Wire Size</th><th>Not Opened</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderFileSummary() {
+        const fileStats = this.analytics.fileStats;
+        if (fileStats.length === 0) return '';
+
+        const rows = fileStats.map(file => `
+            <tr>
+                <td>${file.scheme}</td>
+                <td>${file.uploads}</td>
+                <td>${(file.averageFileSize / 1024).toFixed(0)} KB</td>
+                <td>${file.encryptThroughput.toFixed(2)} MB/s</td>
+                <td>${file.decryptThroughput.toFixed(2)} MB/s</td>
+                <td>${file.averageOverhead} B</td>
+            </tr>
+        `).join('');
+
+        return `
+            <h3>File Encryption</h3>
+            <table style="width:100%;border-collapse:collapse">
+                <thead>
+                    <tr>
+                        <th>Scheme</th><th>Files</th><th>Average Size</th>
+                        <th>Encryption</th><th>Decryption</th><th>Overhead</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // The safety number the first two users would compare to check each other's identity
+    renderIdentitySummary() {
+        const [first, second] = this.users;
+        if (!first || !second) return '';
+
+        const scheme = negotiateScheme(first.supportedSchemes, second.supportedSchemes);
+        if (!scheme) return '';
+
+        try {
+            const number = first.getSafetyNumber(second.exportPublicKeys(scheme), scheme);
+            return `
+                <h3>Identity Verification</h3>
+                <p>Safety number of User ${first.id} and User ${second.id} (${scheme}):</p>
+                <p class="fingerprint" style="text-align:left">${number}</p>
+            `;
+        } catch (error) {
+            console.warn('[Simulation] Could not compute a safety number:', error);
+            return '';
+        }
+    }
 }
 
 export async function runSimulation(params = {}) {
@@ -9,15 +9,27 @@ export class SimulationAnalytics {
         this.distributionUsed = false;
         this.simulationTimestamp = null;
         this.executionTime = 0;
+        this.population = {};
+        this.schemePairStats = [];
+        this.chatStats = [];
+        this.fileStats = [];
+        this.failureStats = { total: 0, byCode: {} };
         this.cryptoSizes = {
             scheme: 'N/A',
+            kemScheme: 'N/A',
+            signatureScheme: 'N/A',
+            signatureComponents: [],
+            symmetricCipher: 'N/A',
+            mailboxSignature: 'N/A',
             keyPairs: {
                 kem: { publicKeySize: 0, privateKeySize: 0 },
                 signature: { publicKeySize: 0, privateKeySize: 0 }
             },
-            messages: { ciphertextSize: 0, signatureSize: 0 },
+            messages: { ciphertextSize: 0, signatureSize: 0, wireSize: 0 },
             count: 0,
-            averageTime: { encrypt: 0, decrypt: 0, sign: 0, verify: 0 }
+            averageTime: {
+                encrypt: 0, decrypt: 0, sign: 0, verify: 0, symmetric: 0, keyDerivation: 0, verificationLatency: 0
+            }
         };
     }
 
@@ -32,6 +44,12 @@ export class SimulationAnalytics {
         this.documentStats = this.collectDocumentStats(documents);
 
         this.userStats = this.collectUserStats(users);
+
+        this.population = this.collectPopulation(users);
+        this.schemePairStats = this.collectSchemePairStats(users);
+        this.chatStats = this.collectChatStats(users);
+        this.fileStats = this.collectFileStats(users);
+        this.failureStats = this.collectFailureStats(users);
         
         // Track crypto key and message sizes
         this.trackCryptoSizes(users);
@@ -69,6 +87,9 @@ export class SimulationAnalytics {
                     const signStats = user.stats.filter(s => s.signTime > 0);
                     const decryptStats = user.stats.filter(s => s.decryptTime > 0);
                     const verifyStats = user.stats.filter(s => s.verifyTime > 0);
+                    const symmetricStats = user.stats.filter(s => s.symmetricTime > 0);
+                    const keyDerivationStats = user.stats.filter(s => s.keyDerivationTime > 0);
+                    const verificationLatencyStats = user.stats.filter(s => s.verificationLatency > 0);
                     const errorStats = user.stats.filter(s => s.error);
 
                     return {
@@ -78,6 +99,11 @@ export class SimulationAnalytics {
                         signTime: this.calculateAverage(signStats, 'signTime'),
                         decryptTime: this.calculateAverage(decryptStats, 'decryptTime'),
                         verifyTime: this.calculateAverage(verifyStats, 'verifyTime'),
+                        symmetricTime: this.calculateAverage(symmetricStats, 'symmetricTime'),
+                        keyDerivationTime: this.calculateAverage(keyDerivationStats, 'keyDerivationTime'),
+                        verificationLatency: this.calculateAverage(verificationLatencyStats, 'verificationLatency'),
+                        // Identifies the user's keys across runs when they are persisted
+                        fingerprint: this.userFingerprint(user),
                         totalOperations: user.stats.length,
                         errorRate: user.stats.length > 0 ? errorStats.length / user.stats.length : 0
                     };
@@ -88,6 +114,180 @@ export class SimulationAnalytics {
         }
     }
 
+    userFingerprint(user) {
+        try {
+            return typeof user.getFingerprint === 'function' ? user.getFingerprint() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    collectPopulation(users) {
+        return users.reduce((population, user) => {
+            if (user?.cryptoScheme) {
+                population[user.cryptoScheme] = (population[user.cryptoScheme] || 0) + 1;
+            }
+            return population;
+        }, {});
+    }
+
+    // Cost of every senderScheme->recipientScheme pair, from both the sending and receiving side
+    collectSchemePairStats(users) {
+        try {
+            const pairs = new Map();
+
+            users.forEach(user => {
+                if (!Array.isArray(user?.stats)) return;
+
+                user.stats.forEach(stat => {
+                    if (!stat?.schemePair) return;
+
+                    if (!pairs.has(stat.schemePair)) {
+                        pairs.set(stat.schemePair, []);
+                    }
+                    pairs.get(stat.schemePair).push(stat);
+                });
+            });
+
+            return [...pairs.entries()].map(([schemePair, stats]) => {
+                const encryptStats = stats.filter(s => s.encryptTime > 0);
+                const decryptStats = stats.filter(s => s.decryptTime > 0);
+                const [senderScheme, recipientScheme] = schemePair.split('->');
+
+                return {
+                    schemePair,
+                    senderScheme,
+                    recipientScheme,
+                    // Scheme negotiated for the pair, null when they share none
+                    scheme: stats.find(s => s.scheme)?.scheme || null,
+                    encryptOperations: encryptStats.length,
+                    decryptOperations: decryptStats.length,
+                    undeliverable: stats.reduce((sum, s) => sum + (s.undeliverable || 0), 0),
+                    averageEncryptTime: this.calculateAverage(encryptStats, 'encryptTime'),
+                    averageSignTime: this.calculateAverage(encryptStats, 'signTime'),
+                    averageDecryptTime: this.calculateAverage(decryptStats, 'decryptTime'),
+                    averageVerifyTime: this.calculateAverage(decryptStats, 'verifyTime'),
+                    averageCiphertextSize: Math.round(this.calculateAverage(encryptStats, 'encryptedSize')),
+                    averageSignatureSize: Math.round(this.calculateAverage(encryptStats, 'signatureSize')),
+                    averageWireSize: Math.round(this.calculateAverage(encryptStats, 'wireSize'))
+                };
+            }).sort((a, b) => a.schemePair.localeCompare(b.schemePair));
+        } catch (error) {
+            console.error('Error collecting scheme pair statistics:', error);
+            return [];
+        }
+    }
+
+    // Cost of one-to-one chats for each negotiated scheme, handshake and messages apart
+    collectChatStats(users) {
+        try {
+            const schemes = new Map();
+
+            users.forEach(user => {
+                if (!Array.isArray(user?.chatStats)) return;
+
+                user.chatStats.forEach(stat => {
+                    const scheme = stat?.scheme || 'none';
+                    if (!schemes.has(scheme)) {
+                        schemes.set(scheme, []);
+                    }
+                    schemes.get(scheme).push(stat);
+                });
+            });
+
+            return [...schemes.entries()].map(([scheme, stats]) => {
+                const handshakeStats = stats.filter(s => s.handshakeTime > 0);
+                const encryptStats = stats.filter(s => s.encryptTime > 0);
+                const decryptStats = stats.filter(s => s.decryptTime > 0);
+
+                return {
+                    scheme,
+                    conversations: handshakeStats.length,
+                    undeliverable: stats.reduce((sum, s) => sum + (s.undeliverable || 0), 0),
+                    averageHandshakeTime: this.calculateAverage(handshakeStats, 'handshakeTime'),
+                    averageHandshakeSize: Math.round(this.calculateAverage(handshakeStats, 'handshakeSize')),
+                    handshakeMessages: handshakeStats[0]?.handshakeMessages || 0,
+                    messages: encryptStats.length,
+                    averageEncryptTime: this.calculateAverage(encryptStats, 'encryptTime'),
+                    averageSignTime: this.calculateAverage(encryptStats, 'signTime'),
+                    averageDecryptTime: this.calculateAverage(decryptStats, 'decryptTime'),
+                    averageWireSize: Math.round(this.calculateAverage(encryptStats, 'wireSize'))
+                };
+            }).sort((a, b) => a.scheme.localeCompare(b.scheme));
+        } catch (error) {
+            console.error('Error collecting chat statistics:', error);
+            return [];
+        }
+    }
+
+    // Throughput of streaming file encryption for each scheme, in MB/s of plaintext
+    collectFileStats(users) {
+        try {
+            const schemes = new Map();
+
+            users.forEach(user => {
+                if (!Array.isArray(user?.fileStats)) return;
+
+                user.fileStats.forEach(stat => {
+                    if (!schemes.has(stat.scheme)) {
+                        schemes.set(stat.scheme, []);
+                    }
+                    schemes.get(stat.scheme).push(stat);
+                });
+            });
+
+            const throughput = (stats) => {
+                const time = stats.reduce((sum, s) => sum + s.time, 0);
+                const bytes = stats.reduce((sum, s) => sum + s.fileSize, 0);
+                return time > 0 ? (bytes / (1024 * 1024)) / (time / 1000) : 0;
+            };
+
+            return [...schemes.entries()].map(([scheme, stats]) => {
+                const encryptStats = stats.filter(s => s.operation === 'encrypt');
+                const decryptStats = stats.filter(s => s.operation === 'decrypt');
+
+                return {
+                    scheme,
+                    uploads: encryptStats.length,
+                    averageFileSize: Math.round(this.calculateAverage(encryptStats, 'fileSize')),
+                    encryptThroughput: throughput(encryptStats),
+                    decryptThroughput: throughput(decryptStats),
+                    averageEncryptTime: this.calculateAverage(encryptStats, 'time'),
+                    averageDecryptTime: this.calculateAverage(decryptStats, 'time'),
+                    // Header and per-chunk framing and tags
+                    averageOverhead: Math.round(
+                        this.calculateAverage(encryptStats, 'wireSize') - this.calculateAverage(encryptStats, 'fileSize')
+                    )
+                };
+            }).sort((a, b) => a.scheme.localeCompare(b.scheme));
+        } catch (error) {
+            console.error('Error collecting file statistics:', error);
+            return [];
+        }
+    }
+
+    // Failed operations by error code (see cryptoErrors.js), across documents, chats and files.
+    // Undeliverable entries count once per recipient, as in the scheme pair statistics
+    collectFailureStats(users) {
+        const failureStats = { total: 0, byCode: {} };
+        try {
+            users.forEach(user => {
+                [user?.stats, user?.chatStats, user?.fileStats].forEach(stats => {
+                    if (!Array.isArray(stats)) return;
+
+                    stats.filter(stat => stat?.errorCode).forEach(stat => {
+                        const count = stat.undeliverable || 1;
+                        failureStats.total += count;
+                        failureStats.byCode[stat.errorCode] = (failureStats.byCode[stat.errorCode] || 0) + count;
+                    });
+                });
+            });
+        } catch (error) {
+            console.error('Error collecting failure statistics:', error);
+        }
+        return failureStats;
+    }
+
     calculateAverage(stats, property) {
         if (!Array.isArray(stats) || stats.length === 0) return 0;
         return stats.reduce((sum, stat) => sum + (stat[property] || 0), 0) / stats.length;
@@ -126,7 +326,20 @@ export class SimulationAnalytics {
             if (!user) return;
             
             // Track the scheme
-            this.cryptoSizes.scheme = user.cryptoScheme || 'N/A';
+            const populationSchemes = Object.keys(this.population);
+            this.cryptoSizes.scheme = populationSchemes.length > 1
+                ? `mixed (${populationSchemes.join('/')})`
+                : user.cryptoScheme || 'N/A';
+
+            // Track the parameter sets used by the provider, if it exposes them
+            const provider = user.multiRecipientCrypto?.cryptoProvider;
+            this.cryptoSizes.kemScheme = provider?.kemScheme?.name
+                || (provider?.curve ? `ECDH ${provider.curve.name}` : 'N/A');
+            this.cryptoSizes.signatureScheme = provider?.signatureScheme?.name || 'N/A';
+            // Composite schemes concatenate their parts, keep the per-part sizes
+            this.cryptoSizes.signatureComponents = provider?.signatureScheme?.components || [];
+            this.cryptoSizes.symmetricCipher = provider?.symmetricCipher?.name || 'N/A';
+            this.cryptoSizes.mailboxSignature = provider?.mailboxSignature || 'N/A';
             
             // Track key sizes
             if (user.kemKeys) {
@@ -149,6 +362,7 @@ export class SimulationAnalytics {
             const messageSizes = this.collectMessageSizes(users);
             this.cryptoSizes.messages.ciphertextSize = messageSizes.avgCiphertextSize;
             this.cryptoSizes.messages.signatureSize = messageSizes.avgSignatureSize;
+            this.cryptoSizes.messages.wireSize = messageSizes.avgWireSize;
             
             // Count of users in the simulation
             this.cryptoSizes.count = users.length;
@@ -159,7 +373,10 @@ export class SimulationAnalytics {
                 encrypt: cryptoPerformance.averageEncryptTime,
                 decrypt: cryptoPerformance.averageDecryptTime,
                 sign: cryptoPerformance.averageSignTime,
-                verify: cryptoPerformance.averageVerifyTime
+                verify: cryptoPerformance.averageVerifyTime,
+                symmetric: cryptoPerformance.averageSymmetricTime,
+                keyDerivation: cryptoPerformance.averageKeyDerivationTime,
+                verificationLatency: cryptoPerformance.averageVerificationLatency
             };
             
         } catch (error) {
@@ -207,6 +424,8 @@ export class SimulationAnalytics {
         let ciphertextCount = 0;
         let totalSignatureSize = 0;
         let signatureCount = 0;
+        let totalWireSize = 0;
+        let wireCount = 0;
         
         users.forEach(user => {
             if (!user.stats || !Array.isArray(user.stats)) return;
@@ -220,12 +439,17 @@ export class SimulationAnalytics {
                     totalSignatureSize += stat.signatureSize;
                     signatureCount++;
                 }
+                if (stat && stat.wireSize) {
+                    totalWireSize += stat.wireSize;
+                    wireCount++;
+                }
             });
         });
         
         return {
             avgCiphertextSize: ciphertextCount > 0 ? Math.round(totalCiphertextSize / ciphertextCount) : 0,
-            avgSignatureSize: signatureCount > 0 ? Math.round(totalSignatureSize / signatureCount) : 0
+            avgSignatureSize: signatureCount > 0 ? Math.round(totalSignatureSize / signatureCount) : 0,
+            avgWireSize: wireCount > 0 ? Math.round(totalWireSize / wireCount) : 0
         };
     }
 
@@ -239,6 +463,11 @@ export class SimulationAnalytics {
                 },
                 documentStats: this.documentStats,
                 userStats: this.userStats,
+                population: this.population,
+                schemePairStats: this.schemePairStats,
+                chatStats: this.chatStats,
+                fileStats: this.fileStats,
+                failureStats: this.failureStats,
                 cryptoSizes: this.cryptoSizes,
                 summary: this.generateSummary()
             };
@@ -335,6 +564,9 @@ export class SimulationAnalytics {
             averageSignTime: this.calculateArrayAverage(this.userStats.map(u => u.signTime)),
             averageDecryptTime: this.calculateArrayAverage(this.userStats.map(u => u.decryptTime)),
             averageVerifyTime: this.calculateArrayAverage(this.userStats.map(u => u.verifyTime)),
+            averageSymmetricTime: this.calculateArrayAverage(this.userStats.map(u => u.symmetricTime)),
+            averageKeyDerivationTime: this.calculateArrayAverage(this.userStats.map(u => u.keyDerivationTime)),
+            averageVerificationLatency: this.calculateArrayAverage(this.userStats.map(u => u.verificationLatency)),
             averageErrorRate: this.calculateArrayAverage(this.userStats.map(u => u.errorRate))
         };
     }
@@ -0,0 +1,93 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/*  Errors shared by the providers
+
+Failures are thrown as a CryptoError subclass whatever the provider, with a stable code
+that callers and the analytics can rely on instead of the message:
+
+    E_DECRYPTION_FAILURE   a ciphertext or file does not open: tampered, truncated or wrong key
+    E_VALIDATION_FAILURE   a signature does not verify, or a key, message or parameter is malformed
+    E_MISSING_KEY          the keys at hand cannot do the operation (team role, pad keys, recipient)
+    E_UNSUPPORTED_VERSION  a wire, message or key format version this code cannot read
+    E_UNSUPPORTED_SCHEME   a scheme, curve or operation the provider or the runtime does not offer
+
+Errors from the underlying primitives (tweetnacl, noble, WebCrypto) are wrapped with
+toCryptoError, which keeps them as cause.
+*/
+
+export const CRYPTO_ERROR_CODES = {
+    DECRYPTION_FAILURE: 'E_DECRYPTION_FAILURE',
+    VALIDATION_FAILURE: 'E_VALIDATION_FAILURE',
+    MISSING_KEY: 'E_MISSING_KEY',
+    UNSUPPORTED_VERSION: 'E_UNSUPPORTED_VERSION',
+    UNSUPPORTED_SCHEME: 'E_UNSUPPORTED_SCHEME'
+};
+
+// Code reported for errors that are not CryptoErrors, bugs rather than failures
+export const UNKNOWN_ERROR_CODE = 'E_UNKNOWN';
+
+export class CryptoError extends Error {
+    constructor(code, message, options) {
+        super(message, options);
+        this.name = 'CryptoError';
+        this.code = code;
+    }
+}
+
+export class DecryptionError extends CryptoError {
+    constructor(message = 'Decryption failed', options) {
+        super(CRYPTO_ERROR_CODES.DECRYPTION_FAILURE, message, options);
+        this.name = 'DecryptionError';
+    }
+}
+
+export class ValidationError extends CryptoError {
+    constructor(message = 'Validation failed', options) {
+        super(CRYPTO_ERROR_CODES.VALIDATION_FAILURE, message, options);
+        this.name = 'ValidationError';
+    }
+}
+
+export class MissingKeyError extends CryptoError {
+    constructor(message = 'Missing key', options) {
+        super(CRYPTO_ERROR_CODES.MISSING_KEY, message, options);
+        this.name = 'MissingKeyError';
+    }
+}
+
+export class UnsupportedVersionError extends CryptoError {
+    constructor(message = 'Unsupported version', options) {
+        super(CRYPTO_ERROR_CODES.UNSUPPORTED_VERSION, message, options);
+        this.name = 'UnsupportedVersionError';
+    }
+}
+
+export class UnsupportedSchemeError extends CryptoError {
+    constructor(message = 'Unsupported scheme', options) {
+        super(CRYPTO_ERROR_CODES.UNSUPPORTED_SCHEME, message, options);
+        this.name = 'UnsupportedSchemeError';
+    }
+}
+
+const ERROR_CLASSES = {
+    [CRYPTO_ERROR_CODES.DECRYPTION_FAILURE]: DecryptionError,
+    [CRYPTO_ERROR_CODES.VALIDATION_FAILURE]: ValidationError,
+    [CRYPTO_ERROR_CODES.MISSING_KEY]: MissingKeyError,
+    [CRYPTO_ERROR_CODES.UNSUPPORTED_VERSION]: UnsupportedVersionError,
+    [CRYPTO_ERROR_CODES.UNSUPPORTED_SCHEME]: UnsupportedSchemeError
+};
+
+// CryptoErrors are passed on as they are. crypto.js throws codes as messages, as
+// Error("E_VALIDATION_FAILURE"), those get the matching class and anything else an ErrorClass
+export function toCryptoError(error, ErrorClass = DecryptionError) {
+    if (error instanceof CryptoError) return error;
+    const CodeClass = ERROR_CLASSES[error?.message] || ErrorClass;
+    return new CodeClass(error?.message || String(error), { cause: error });
+}
+
+// Also reads the code of records carrying one, such as failed deliveries
+export function getErrorCode(error) {
+    return Object.values(CRYPTO_ERROR_CODES).includes(error?.code) ? error.code : UNKNOWN_ERROR_CODE;
+}
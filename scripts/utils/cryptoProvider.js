@@ -4,33 +4,92 @@
 
 import { createNaclProvider } from './providers/naclProvider.js';
 import { createPQCProvider } from './providers/pqcProvider.js';
-import { createElGamalProvider } from './providers/elgamalProvider.js';
-import { kemSchemes, signatureSchemes, symmetricCiphers } from './schemes/cryptoSchemes.js';
+import { createWebCryptoProvider, isWebCryptoSupported } from './providers/webCryptoProvider.js';
+import {
+    createElGamalProvider, ELGAMAL_CURVES, DEFAULT_ELGAMAL_CURVE, listElGamalCurves, isCurveSupported
+} from './providers/elgamalProvider.js';
+import {
+    kemSchemes, signatureSchemes, symmetricCiphers, keyDerivationFunctions,
+    registerKemScheme, registerSignatureScheme, registerSymmetricCipher,
+    listKemSchemes, listSignatureSchemes, listSymmetricCiphers
+} from './schemes/cryptoSchemes.js';
 
 export const CRYPTO_SCHEMES = {
     PQC: 'pqc',
     NACL: 'nacl',
-    ELGAMAL: 'elgamal'
+    // NaCl's primitives run by the runtime's WebCrypto, to compare native and pure-JS code
+    WEBCRYPTO: 'webcrypto',
+    ELGAMAL: 'elgamal',
+    HYBRID: 'hybrid'
+};
+
+// Hybrid clients run the PQC provider with schemes that keep a classical component
+const HYBRID_OPTIONS = {
+    kem: 'x-wing',
+    signature: 'ml-dsa-65-ed25519'
+};
+
+// Schemes a client of each kind can use, most preferred first. Upgraded clients keep
+// their NaCl keys so that peers which have not migrated yet can still reach them.
+export const SUPPORTED_SCHEMES = {
+    [CRYPTO_SCHEMES.HYBRID]: [CRYPTO_SCHEMES.HYBRID, CRYPTO_SCHEMES.PQC, CRYPTO_SCHEMES.NACL],
+    [CRYPTO_SCHEMES.PQC]: [CRYPTO_SCHEMES.PQC, CRYPTO_SCHEMES.NACL],
+    [CRYPTO_SCHEMES.NACL]: [CRYPTO_SCHEMES.NACL],
+    [CRYPTO_SCHEMES.WEBCRYPTO]: [CRYPTO_SCHEMES.WEBCRYPTO],
+    [CRYPTO_SCHEMES.ELGAMAL]: [CRYPTO_SCHEMES.ELGAMAL]
 };
 
 export const ENCRYPTOR_TYPES = {
     MAILBOX: 'mailbox',
-    TEAM: 'team'
+    TEAM: 'team',
+    // Document edits, encrypted with the pad's symmetric key and signed with its signing key
+    PAD: 'pad'
 };
 
-export { kemSchemes, signatureSchemes, symmetricCiphers };
+// Team members hold every team key, viewers can only read and writers can only write
+export const TEAM_ROLES = {
+    MEMBER: 'member',
+    VIEWER: 'viewer',
+    WRITER: 'writer'
+};
+
+export {
+    kemSchemes, signatureSchemes, symmetricCiphers, keyDerivationFunctions,
+    registerKemScheme, registerSignatureScheme, registerSymmetricCipher,
+    listKemSchemes, listSignatureSchemes, listSymmetricCiphers,
+    ELGAMAL_CURVES, DEFAULT_ELGAMAL_CURVE, listElGamalCurves, isCurveSupported,
+    isWebCryptoSupported
+};
 
 export function getCryptoProvider(scheme = CRYPTO_SCHEMES.PQC, options = {}) {
     console.log(`[CryptoProvider] Creating provider for scheme: ${scheme}`);
     if (scheme === CRYPTO_SCHEMES.NACL) {
         console.log('[CryptoProvider] Using NaCl (TweetNaCl) implementation');
         return createNaclProvider();
+    } else if (scheme === CRYPTO_SCHEMES.WEBCRYPTO) {
+        console.log('[CryptoProvider] Using native WebCrypto Ed25519/X25519 implementation');
+        return createWebCryptoProvider();
     } else if (scheme === CRYPTO_SCHEMES.ELGAMAL) {
-        console.log('[CryptoProvider] Using ElGamal hybrid encryption implementation');
-        return createElGamalProvider();
+        console.log(`[CryptoProvider] Using ElGamal hybrid encryption implementation, curve: ${options.curve || DEFAULT_ELGAMAL_CURVE}`);
+        return createElGamalProvider(options);
+    } else if (scheme === CRYPTO_SCHEMES.HYBRID) {
+        console.log('[CryptoProvider] Using hybrid post-quantum/classical implementation');
+        console.log(`[CryptoProvider] KEM: ${HYBRID_OPTIONS.kem}, Signature: ${HYBRID_OPTIONS.signature}, Symmetric: ${options.symmetric || 'aes-gcm'}`);
+        return createPQCProvider({ ...options, ...HYBRID_OPTIONS });
     } else {
         console.log('[CryptoProvider] Using Post-Quantum Cryptography implementation');
-        console.log(`[CryptoProvider] KEM: ${options.kem || 'ml-kem-1024'}, Signature: ${options.signature || 'ml-dsa-87'}`);
+        console.log(`[CryptoProvider] KEM: ${options.kem || 'ml-kem-1024'}, Signature: ${options.signature || 'ml-dsa-87'}, Symmetric: ${options.symmetric || 'aes-gcm'}`);
         return createPQCProvider(options);
     }
 }
+
+// Pads need the edit, view and file cryptors of crypto.js, which not every provider has
+export function supportsPads(scheme) {
+    const provider = getCryptoProvider(scheme);
+    return typeof provider.createEditCryptor2 === 'function' && typeof provider.createPadEncryptor === 'function';
+}
+
+// Picks the sender's most preferred scheme that the recipient also supports, null if none
+export function negotiateScheme(senderSchemes = [], recipientSchemes = []) {
+    return senderSchemes.find(scheme => recipientSchemes.includes(scheme)) || null;
+}
@@ -0,0 +1,242 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { DecryptionError, ValidationError } from './cryptoErrors.js';
+
+/*  Framing shared by the streaming file encryptors
+
+An encrypted file is a sequence of records, each a 4-byte big-endian length followed by
+its bytes:
+
+    header record   provider specific, carries the wrapped file key and the nonce prefix
+    chunk records   flag (1) || sealed chunk
+
+Chunks are sealed one by one under the file key, with the nonce
+
+    nonce prefix || chunk index (4, big-endian) || flag (1)
+
+where the flag is 1 for the last chunk and 0 otherwise. Reordered or dropped chunks do
+not open under the nonce they are read with, a stream cut at a chunk boundary lacks the
+last chunk and a stream with data after the last chunk is rejected, so truncation and
+extension are detected as well as tampering. Chunks are released as soon as they are
+authenticated: a consumer must discard the output when the stream ends with an error.
+*/
+
+// Same plaintext chunk length as CryptPad's file-crypto.js
+export const FILE_CHUNK_SIZE = 128 * 1024;
+export const MAX_FILE_CHUNK_SIZE = 16 * 1024 * 1024;
+
+export const CHUNK_FLAGS = {
+    MORE: 0,
+    LAST: 1
+};
+
+const RECORD_LENGTH_PREFIX = 4;
+const CHUNK_INDEX_LENGTH = 4;
+const CHUNK_FLAG_LENGTH = 1;
+// Header records only hold keys and ciphertexts
+const MAX_HEADER_LENGTH = 64 * 1024;
+
+export const encodeUint32 = (value) => {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value);
+    return bytes;
+};
+
+export const decodeUint32 = (bytes, offset = 0) =>
+    new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(offset);
+
+// Bytes received in arbitrary pieces, taken out in the lengths the reader asks for
+class ByteQueue {
+    constructor() {
+        this.pieces = [];
+        this.length = 0;
+    }
+
+    push(piece) {
+        if (piece.length === 0) return;
+        this.pieces.push(piece);
+        this.length += piece.length;
+    }
+
+    take(length) {
+        const result = new Uint8Array(length);
+        let offset = 0;
+        while (offset < length) {
+            const piece = this.pieces[0];
+            const needed = length - offset;
+            if (piece.length <= needed) {
+                result.set(piece, offset);
+                offset += piece.length;
+                this.pieces.shift();
+            } else {
+                result.set(piece.subarray(0, needed), offset);
+                this.pieces[0] = piece.subarray(needed);
+                offset += needed;
+            }
+        }
+        this.length -= length;
+        return result;
+    }
+
+    peekUint32() {
+        const bytes = this.take(RECORD_LENGTH_PREFIX);
+        this.pieces.unshift(bytes);
+        this.length += RECORD_LENGTH_PREFIX;
+        return decodeUint32(bytes);
+    }
+}
+
+// Accepts a ReadableStream, an async or sync iterable of byte chunks, or a single Uint8Array
+export async function* iterateSource(source) {
+    if (source instanceof Uint8Array) {
+        yield source;
+        return;
+    }
+    if (typeof source?.getReader === 'function' && !source[Symbol.asyncIterator]) {
+        const reader = source.getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                yield value instanceof Uint8Array ? value : new Uint8Array(value);
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+    if (!source || (!source[Symbol.asyncIterator] && !source[Symbol.iterator])) {
+        throw new ValidationError('File source must be a ReadableStream, an iterable or a Uint8Array');
+    }
+    for await (const piece of source) {
+        yield piece instanceof Uint8Array ? piece : new Uint8Array(piece);
+    }
+}
+
+// Cuts the source into chunks of chunkSize bytes, holding one back so that the last is known
+export async function* rechunk(source, chunkSize = FILE_CHUNK_SIZE) {
+    const queue = new ByteQueue();
+    for await (const piece of iterateSource(source)) {
+        queue.push(piece);
+        while (queue.length > chunkSize) {
+            yield { chunk: queue.take(chunkSize), last: false };
+        }
+    }
+    // An empty file still has its last chunk
+    yield { chunk: queue.take(queue.length), last: true };
+}
+
+export const encodeRecord = (bytes) => {
+    const record = new Uint8Array(RECORD_LENGTH_PREFIX + bytes.length);
+    record.set(encodeUint32(bytes.length));
+    record.set(bytes, RECORD_LENGTH_PREFIX);
+    return record;
+};
+
+export async function* readRecords(source) {
+    const queue = new ByteQueue();
+    let maxLength = MAX_HEADER_LENGTH;
+
+    for await (const piece of iterateSource(source)) {
+        queue.push(piece);
+        while (queue.length >= RECORD_LENGTH_PREFIX) {
+            const length = queue.peekUint32();
+            if (length > maxLength) {
+                throw new ValidationError(`File record too long: ${length} bytes`);
+            }
+            if (queue.length < RECORD_LENGTH_PREFIX + length) break;
+
+            queue.take(RECORD_LENGTH_PREFIX);
+            yield queue.take(length);
+            maxLength = CHUNK_FLAG_LENGTH + MAX_FILE_CHUNK_SIZE + MAX_HEADER_LENGTH;
+        }
+    }
+
+    if (queue.length > 0) {
+        throw new DecryptionError('Truncated file: incomplete record');
+    }
+}
+
+export const encodeChunkRecord = (sealed, last) => {
+    const bytes = new Uint8Array(CHUNK_FLAG_LENGTH + sealed.length);
+    bytes[0] = last ? CHUNK_FLAGS.LAST : CHUNK_FLAGS.MORE;
+    bytes.set(sealed, CHUNK_FLAG_LENGTH);
+    return encodeRecord(bytes);
+};
+
+export const decodeChunkRecord = (record) => {
+    const flag = record[0];
+    if (flag !== CHUNK_FLAGS.MORE && flag !== CHUNK_FLAGS.LAST) {
+        throw new ValidationError(`Invalid chunk flag: ${flag}`);
+    }
+    return { sealed: record.subarray(CHUNK_FLAG_LENGTH), last: flag === CHUNK_FLAGS.LAST };
+};
+
+export const chunkNonce = (prefix, index, last) => {
+    if (index > 0xffffffff) {
+        throw new ValidationError('File too large for its chunk size');
+    }
+    const nonce = new Uint8Array(prefix.length + CHUNK_INDEX_LENGTH + CHUNK_FLAG_LENGTH);
+    nonce.set(prefix);
+    nonce.set(encodeUint32(index), prefix.length);
+    nonce[nonce.length - 1] = last ? CHUNK_FLAGS.LAST : CHUNK_FLAGS.MORE;
+    return nonce;
+};
+
+export const chunkNoncePrefixLength = (nonceLength) => nonceLength - CHUNK_INDEX_LENGTH - CHUNK_FLAG_LENGTH;
+
+/*  Opens the chunk records following the header, in order
+
+open(sealed, index, last) returns the plaintext, or a promise of it, and throws when the
+chunk does not authenticate. The stream must end with the last chunk and nothing may follow it.
+*/
+export async function* openChunks(records, open, maxSealedLength) {
+    let index = 0;
+    let finished = false;
+
+    for await (const record of records) {
+        if (finished) {
+            throw new DecryptionError('Unexpected data after the last chunk');
+        }
+        const { sealed, last } = decodeChunkRecord(record);
+        if (sealed.length > maxSealedLength) {
+            throw new ValidationError(`Chunk ${index} is longer than the file's chunk size`);
+        }
+        let chunk;
+        try {
+            chunk = await open(sealed, index, last);
+        } catch (error) {
+            throw new DecryptionError(`Chunk ${index} failed authentication`, { cause: error });
+        }
+        yield chunk;
+        finished = last;
+        index++;
+    }
+
+    if (!finished) {
+        throw new DecryptionError('Truncated file: the last chunk is missing');
+    }
+}
+
+// For callers that need a ReadableStream, such as fetch uploads
+export const toReadableStream = (iterable) => {
+    const iterator = iterable[Symbol.asyncIterator]();
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await iterator.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            } catch (error) {
+                controller.error(error);
+            }
+        },
+        async cancel(reason) {
+            await iterator.return?.(reason);
+        }
+    });
+};
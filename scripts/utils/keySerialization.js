@@ -0,0 +1,212 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { sha256, sha512 } from '@noble/hashes/sha2';
+import { ValidationError, UnsupportedVersionError, UnsupportedSchemeError } from './cryptoErrors.js';
+import { encodeUint32 } from './fileStream.js';
+
+/*  Common key serialisation
+
+Providers keep keys in their own shapes (Uint8Arrays for PQC, base64 strings for NaCl,
+PKCS8 for ElGamal secret keys). exportKey(key, type) on every provider gives the same
+JSON-safe object whatever the provider:
+
+    { version, algorithm, type, encoding, data }
+
+    algorithm  scheme id, as in the scheme registry ('ml-kem-768', 'x25519', 'ecdh-p256', ...)
+    type       one of KEY_TYPES
+    encoding   how data encodes the key, one of KEY_ENCODINGS
+    data       the key bytes in base64
+
+and importKey(serialized, type) turns it back into the provider's shape. The string form
+(keyToString) is the same fields joined with ':' and the key in base64url.
+
+Fingerprints identify public keys to a person: the first 16 bytes of a SHA-256 over the
+serialised fields, in hex groups. Every key is length-prefixed, as fields are in the wire
+envelope, so the split between the keys of an identity is bound too. Safety numbers compare two identities the way Signal
+does: every identity gets 30 digits from an iterated SHA-512 over its public keys, and
+the two are sorted and joined, so both users see the same 60 digits.
+*/
+
+export const KEY_FORMAT_VERSION = 1;
+
+export const KEY_TYPES = {
+    KEM_PUBLIC: 'kem-public',
+    KEM_SECRET: 'kem-secret',
+    SIGN_PUBLIC: 'sign-public',
+    SIGN_SECRET: 'sign-secret'
+};
+
+export const KEY_ENCODINGS = {
+    RAW: 'raw',
+    PKCS8: 'pkcs8'
+};
+
+const KEY_STRING_PREFIX = 'cryptpad-key';
+const FINGERPRINT_DOMAIN = 'CryptPad.KeyFingerprint';
+const FINGERPRINT_LENGTH = 16;
+const SAFETY_NUMBER_DOMAIN = 'CryptPad.SafetyNumber';
+// As Signal's numeric fingerprints, slows down searching for a colliding identity
+const SAFETY_NUMBER_ITERATIONS = 5200;
+const SAFETY_NUMBER_GROUPS = 6;
+const SAFETY_NUMBER_GROUP_DIGITS = 5;
+const BASE64_SLICE_LENGTH = 0x8000;
+
+const textEncoder = new TextEncoder();
+
+const encodeBase64 = (bytes) => {
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += BASE64_SLICE_LENGTH) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + BASE64_SLICE_LENGTH));
+    }
+    return btoa(binary);
+};
+
+const decodeBase64 = (str) => {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+const concat = (...arrays) => {
+    const result = new Uint8Array(arrays.reduce((acc, arr) => acc + arr.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+};
+
+const isPublicType = (type) => type === KEY_TYPES.KEM_PUBLIC || type === KEY_TYPES.SIGN_PUBLIC;
+
+// The bytes fingerprints and safety numbers are computed over, bound to the key's description
+const keyDescriptionBytes = ({ version, algorithm, type, encoding, data }) => {
+    const bytes = decodeBase64(data);
+    return concat(
+        new Uint8Array([version]),
+        textEncoder.encode(`${algorithm}\0${type}\0${encoding}\0`),
+        encodeUint32(bytes.length),
+        bytes
+    );
+};
+
+// ========== Serialisation ==========
+
+export function serializeKey({ algorithm, type, encoding = KEY_ENCODINGS.RAW, bytes }) {
+    if (typeof algorithm !== 'string' || !algorithm || algorithm.includes(':')) {
+        throw new ValidationError(`Invalid key algorithm: ${algorithm}`);
+    }
+    if (!Object.values(KEY_TYPES).includes(type)) {
+        throw new ValidationError(`Invalid key type: ${type}`);
+    }
+    if (!Object.values(KEY_ENCODINGS).includes(encoding)) {
+        throw new ValidationError(`Invalid key encoding: ${encoding}`);
+    }
+    if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+        throw new ValidationError('Key bytes must be a non-empty Uint8Array');
+    }
+
+    return { version: KEY_FORMAT_VERSION, algorithm, type, encoding, data: encodeBase64(bytes) };
+}
+
+// expected: { algorithm, type }, checked when given
+export function deserializeKey(serialized, expected = {}) {
+    if (!serialized || typeof serialized !== 'object') {
+        throw new ValidationError('Invalid serialised key');
+    }
+    if (serialized.version !== KEY_FORMAT_VERSION) {
+        throw new UnsupportedVersionError(`Unsupported key format version: ${serialized.version}`);
+    }
+    if (!Object.values(KEY_TYPES).includes(serialized.type)) {
+        throw new ValidationError(`Invalid key type: ${serialized.type}`);
+    }
+    if (!Object.values(KEY_ENCODINGS).includes(serialized.encoding)) {
+        throw new ValidationError(`Invalid key encoding: ${serialized.encoding}`);
+    }
+    if (expected.algorithm && serialized.algorithm !== expected.algorithm) {
+        throw new UnsupportedSchemeError(`Expected a ${expected.algorithm} key, got ${serialized.algorithm}`);
+    }
+    if (expected.type && serialized.type !== expected.type) {
+        throw new ValidationError(`Expected a ${expected.type} key, got ${serialized.type}`);
+    }
+
+    return {
+        algorithm: serialized.algorithm,
+        type: serialized.type,
+        encoding: serialized.encoding,
+        bytes: decodeBase64(serialized.data)
+    };
+}
+
+export function keyToString(serialized) {
+    const { version, algorithm, type, encoding, data } = serialized;
+    const base64url = data.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return [KEY_STRING_PREFIX, `v${version}`, algorithm, type, encoding, base64url].join(':');
+}
+
+export function keyFromString(str) {
+    const parts = typeof str === 'string' ? str.split(':') : [];
+    if (parts.length !== 6 || parts[0] !== KEY_STRING_PREFIX || !/^v\d+$/.test(parts[1])) {
+        throw new ValidationError('Invalid key string');
+    }
+    const [, version, algorithm, type, encoding, base64url] = parts;
+    const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+    const serialized = {
+        version: parseInt(version.slice(1), 10),
+        algorithm,
+        type,
+        encoding,
+        data: base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')
+    };
+    // Validates the fields
+    deserializeKey(serialized);
+    return serialized;
+}
+
+// ========== Fingerprints ==========
+
+// keys: one serialised public key, or several for an identity (KEM and signing key)
+export function fingerprint(keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (list.length === 0 || list.some(key => !isPublicType(key?.type))) {
+        throw new ValidationError('Fingerprints are only computed over public keys');
+    }
+
+    const digest = sha256(concat(textEncoder.encode(FINGERPRINT_DOMAIN), ...list.map(keyDescriptionBytes)));
+    const hex = Array.from(digest.subarray(0, FINGERPRINT_LENGTH), b => b.toString(16).padStart(2, '0')).join('');
+    return hex.match(/.{4}/g).join(' ');
+}
+
+// 30 digits standing for one identity
+export function identityNumber(keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (list.length === 0 || list.some(key => !isPublicType(key?.type))) {
+        throw new ValidationError('Safety numbers are only computed over public keys');
+    }
+
+    const identity = concat(...list.map(keyDescriptionBytes));
+    let hash = concat(textEncoder.encode(SAFETY_NUMBER_DOMAIN), identity);
+    for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i++) {
+        hash = sha512(concat(hash, identity));
+    }
+
+    // Every 5 bytes give a group of 5 digits, as in Signal
+    const groups = [];
+    for (let i = 0; i < SAFETY_NUMBER_GROUPS; i++) {
+        const chunk = hash.subarray(i * 5, i * 5 + 5);
+        const value = chunk.reduce((acc, byte) => acc * 256 + byte, 0);
+        groups.push(String(value % 100000).padStart(SAFETY_NUMBER_GROUP_DIGITS, '0'));
+    }
+    return groups.join('');
+}
+
+// Same result on both sides, whoever computes it
+export function safetyNumber(ourKeys, theirKeys) {
+    const numbers = [identityNumber(ourKeys), identityNumber(theirKeys)].sort();
+    return numbers.join('').match(new RegExp(`.{${SAFETY_NUMBER_GROUP_DIGITS}}`, 'g')).join(' ');
+}
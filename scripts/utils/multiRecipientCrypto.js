@@ -2,11 +2,39 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
-import {getCryptoProvider, CRYPTO_SCHEMES, ENCRYPTOR_TYPES} from './cryptoProvider.js';
+import {getCryptoProvider, CRYPTO_SCHEMES, ENCRYPTOR_TYPES, TEAM_ROLES} from './cryptoProvider.js';
+import { iterateSource } from './fileStream.js';
+import { KEY_TYPES } from './keySerialization.js';
+import { DecryptionError, ValidationError, MissingKeyError, UnsupportedSchemeError, getErrorCode } from './cryptoErrors.js';
+
+// Team keys held by the restricted roles, the partial key sets accepted by Team.createEncryptor
+const TEAM_ROLE_KEYS = {
+    [TEAM_ROLES.VIEWER]: ['channel', 'viewKeyStr', 'teamCurvePublic', 'teamCurvePrivate', 'teamEdPublic'],
+    [TEAM_ROLES.WRITER]: ['channel', 'myCurvePublic', 'myCurvePrivate', 'teamCurvePublic', 'teamEdPrivate']
+};
+
+/*  Block headers
+
+The fields of a shared block that travel in the clear and say where it belongs. Providers
+with supportsAssociatedData bind them to the ciphertext (AEAD associated data, covered by
+the signature), so a block moved to another document, or given another author, time or
+encryptor type, is rejected by its recipients. The header is encoded as
+
+    domain || 0x00 || JSON array of the field values, in BLOCK_HEADER_FIELDS order
+*/
+export const BLOCK_HEADER_FIELDS = ['documentId', 'userId', 'timestamp', 'encryptorType'];
+const BLOCK_HEADER_DOMAIN = 'CryptPad.BlockHeader.v1';
+
+export function encodeBlockHeader(block) {
+    const values = BLOCK_HEADER_FIELDS.map(field => block[field] ?? null);
+    return new TextEncoder().encode(`${BLOCK_HEADER_DOMAIN}\0${JSON.stringify(values)}`);
+}
 
 export class MultiRecipientCrypto {
-    constructor(user, scheme = CRYPTO_SCHEMES.PQC, cryptoOptions = {}) {
+    // identity holds the kemKeys and signKeys used with this scheme, the user's own keys by default
+    constructor(user, scheme = CRYPTO_SCHEMES.PQC, cryptoOptions = {}, identity = user) {
         this.user = user;
+        this.identity = identity;
         this.scheme = scheme;
         this.cryptoOptions = cryptoOptions;
         this.cryptoProvider = getCryptoProvider(scheme, cryptoOptions);
@@ -15,6 +43,8 @@ export class MultiRecipientCrypto {
         this.mailboxEncryptor = null;
         this.teamEncryptor = null;
         this.teamKeys = null;
+        // Keys from createEditCryptor2, by document id
+        this.padKeys = {};
     }
 
     // ========== Initialization Methods ==========
@@ -49,10 +79,10 @@ export class MultiRecipientCrypto {
         if (this.mailboxEncryptor) return this.mailboxEncryptor;
 
         const keys = {
-            curvePublic: this.user.kemKeys.publicKey,
-            curvePrivate: this.user.kemKeys.secretKey,
-            signingKey: this.user.signKeys.secretKey,
-            validateKey: this.user.signKeys.publicKey
+            curvePublic: this.identity.kemKeys.publicKey,
+            curvePrivate: this.identity.kemKeys.secretKey,
+            signingKey: this.identity.signKeys.secretKey,
+            validateKey: this.identity.signKeys.publicKey
         };
 
         this.mailboxEncryptor = await this.cryptoProvider.createMailboxEncryptor(keys);
@@ -65,13 +95,13 @@ export class MultiRecipientCrypto {
         const keys = teamKeys || this.teamKeys || this.generateTeamKeys();
 
         if (!keys) {
-            throw new Error('Failed to create team encryptor: no team keys available');
+            throw new MissingKeyError('Failed to create team encryptor: no team keys available');
         }
 
         this.teamKeys = keys;
         console.log(`[MultiRecipientCrypto] Creating team encryptor with ${teamKeys ? 'provided' : 'generated'} team keys`);
 
-        this.teamEncryptor = await this.cryptoProvider.createTeamEncryptor(keys);
+        this.teamEncryptor = await this.cryptoProvider.createTeamEncryptor(this._keysForTeamRole(keys));
 
         if (this.teamEncryptor.can_encrypt !== undefined) {
             console.log(`[MultiRecipientCrypto] Team encryptor can encrypt: ${this.teamEncryptor.can_encrypt}`);
@@ -84,58 +114,355 @@ export class MultiRecipientCrypto {
         return this.teamEncryptor;
     }
 
+    // ========== Team Key Methods ==========
+
+    _supportsTeamSeeds() {
+        return typeof this.cryptoProvider.createTeamSeed === 'function' &&
+            typeof this.cryptoProvider.deriveTeamMemberKeys === 'function';
+    }
+
+    _ownKemKeys() {
+        return {
+            curvePublic: this.identity.kemKeys.publicKey,
+            curvePrivate: this.identity.kemKeys.secretKey
+        };
+    }
+
     generateTeamKeys() {
+        // Providers following Team.deriveMemberKeys derive the team keys from a seed shared with the members
+        if (this._supportsTeamSeeds()) {
+            const seed = this.cryptoProvider.createTeamSeed();
+            const keys = {
+                ...this.cryptoProvider.deriveTeamMemberKeys(seed, this._ownKemKeys()),
+                seed
+            };
+
+            console.log('[MultiRecipientCrypto] Derived new team keys from a team seed');
+            return keys;
+        }
+
         const keys = {
-            teamCurvePublic: this.user.kemKeys.publicKey,
-            teamCurvePrivate: this.user.kemKeys.secretKey,
-            teamEdPublic: this.user.signKeys.publicKey,
-            teamEdPrivate: this.user.signKeys.secretKey,
-            myCurvePublic: this.user.kemKeys.publicKey,
-            myCurvePrivate: this.user.kemKeys.secretKey
+            teamCurvePublic: this.identity.kemKeys.publicKey,
+            teamCurvePrivate: this.identity.kemKeys.secretKey,
+            teamEdPublic: this.identity.signKeys.publicKey,
+            teamEdPrivate: this.identity.signKeys.secretKey,
+            myCurvePublic: this.identity.kemKeys.publicKey,
+            myCurvePrivate: this.identity.kemKeys.secretKey
         };
 
         console.log('[MultiRecipientCrypto] Generated new team keys');
         return keys;
     }
 
+    // Viewers and writers only get the part of the team keys their role needs
+    _keysForTeamRole(keys) {
+        const roleKeys = TEAM_ROLE_KEYS[this.user.teamRole];
+        if (!roleKeys) return keys;
+
+        return Object.fromEntries(
+            roleKeys.filter(name => keys[name]).map(name => [name, keys[name]])
+        );
+    }
+
     setTeamKeys(keys) {
         if (!keys) {
             console.warn('[MultiRecipientCrypto] Attempted to set null team keys');
             return;
         }
 
+        if (keys.seed && this._supportsTeamSeeds()) {
+            // Same team, the keys derived for this member are still valid
+            if (this.teamKeys?.seed === keys.seed) return;
+
+            // The seed is what members share, the member's own keys are put back in place of the sender's
+            keys = {
+                ...this.cryptoProvider.deriveTeamMemberKeys(keys.seed, this._ownKemKeys()),
+                seed: keys.seed
+            };
+        }
+
         this.teamKeys = keys;
         this.teamEncryptor = null; // Force recreation of the team encryptor
         console.log('[MultiRecipientCrypto] Team keys set, encryptor will be recreated');
     }
 
+    // ========== Pad Key Methods ==========
+
+    _supportsPads() {
+        return typeof this.cryptoProvider.createEditCryptor2 === 'function' &&
+            typeof this.cryptoProvider.createPadEncryptor === 'function';
+    }
+
+    async createPadKeys(password) {
+        if (!this._supportsPads()) {
+            throw new UnsupportedSchemeError(`Pads are not supported by the ${this.scheme} scheme`);
+        }
+        return await this.cryptoProvider.createEditCryptor2(null, null, password);
+    }
+
+    setPadKeys(documentId, keys) {
+        if (!keys) {
+            console.warn('[MultiRecipientCrypto] Attempted to set null pad keys');
+            return;
+        }
+        this.padKeys[documentId] = keys;
+    }
+
+    _getPadKeys(documentId) {
+        const keys = this.padKeys[documentId];
+        if (!keys) {
+            throw new MissingKeyError(`No pad keys available for document ${documentId}`);
+        }
+        return keys;
+    }
+
+    // ========== Chat Channel Methods ==========
+
+    _supportsChannels() {
+        return typeof this.cryptoProvider.channelInitiate === 'function' &&
+            typeof this.cryptoProvider.createChannelEncryptor === 'function';
+    }
+
+    _ensureChannels() {
+        if (!this._supportsChannels()) {
+            throw new UnsupportedSchemeError(`Chat channels are not supported by the ${this.scheme} scheme`);
+        }
+    }
+
+    // Handshakes are null for providers deriving the channel keys without any message (Curve)
+    async channelInitiate(peerPublicKey) {
+        this._ensureChannels();
+        return await this.cryptoProvider.channelInitiate(this._ownKemKeys(), peerPublicKey);
+    }
+
+    async channelRespond(peerPublicKey, handshake) {
+        this._ensureChannels();
+        return await this.cryptoProvider.channelRespond(this._ownKemKeys(), peerPublicKey, handshake);
+    }
+
+    async channelFinish(state, handshake) {
+        this._ensureChannels();
+        return await this.cryptoProvider.channelFinish(state, this._ownKemKeys(), handshake);
+    }
+
+    // Bytes sent for one handshake message
+    measureHandshake(handshake) {
+        if (!handshake) return 0;
+        if (typeof this.cryptoProvider.measureMessage === 'function') {
+            return this.cryptoProvider.measureMessage(handshake).wireSize;
+        }
+        return this._estimateSize(handshake);
+    }
+
+    async encryptChannelMessage(channelKeys, data, recipientScheme = null) {
+        await this.ensureInitialized();
+        this._ensureChannels();
+        const startTime = performance.now();
+
+        const encryptor = await this.cryptoProvider.createChannelEncryptor(channelKeys);
+        const message = await encryptor.encrypt(await this._normalizeDataToString(data));
+
+        const sizes = typeof this.cryptoProvider.measureMessage === 'function'
+            ? this.cryptoProvider.measureMessage(message)
+            : { encryptedSize: this._estimateSize(message), wireSize: this._estimateSize(message) };
+
+        return {
+            message,
+            stats: this._createStats(
+                startTime, 'encrypt', sizes, this._schemePair(this.user.cryptoScheme, recipientScheme), this.user.chatStats
+            )
+        };
+    }
+
+    async decryptChannelMessage(channelKeys, message, senderScheme = null) {
+        await this.ensureInitialized();
+        this._ensureChannels();
+        const startTime = performance.now();
+
+        const encryptor = await this.cryptoProvider.createChannelEncryptor(channelKeys);
+        const data = await encryptor.decrypt(message);
+
+        return {
+            data,
+            stats: this._createStats(
+                startTime, 'decrypt', {}, this._schemePair(senderScheme, this.user.cryptoScheme), this.user.chatStats
+            )
+        };
+    }
+
+    // ========== File Stream Methods ==========
+
+    _ensureFileStreams() {
+        if (typeof this.cryptoProvider.encryptFileStream !== 'function') {
+            throw new UnsupportedSchemeError(`File streams are not supported by the ${this.scheme} scheme`);
+        }
+    }
+
+    encryptFileStream(source, recipientPublicKey, recipientScheme = null, options = {}) {
+        this._ensureFileStreams();
+        return this._measureFileStream(
+            'encrypt',
+            this._schemePair(this.user.cryptoScheme, recipientScheme),
+            source,
+            (input) => this.cryptoProvider.encryptFileStream(input, recipientPublicKey, options)
+        );
+    }
+
+    decryptFileStream(source, senderScheme = null) {
+        this._ensureFileStreams();
+        return this._measureFileStream(
+            'decrypt',
+            this._schemePair(senderScheme, this.user.cryptoScheme),
+            source,
+            (input) => this.cryptoProvider.decryptFileStream(input, this._ownKemKeys())
+        );
+    }
+
+    // Times the provider's work on each chunk, not the consumer's, and records the file's
+    // plaintext size once the stream is done so that throughput can be compared
+    async *_measureFileStream(operation, schemePair, source, transform) {
+        let inputSize = 0;
+        let outputSize = 0;
+        let time = 0;
+
+        const input = (async function* () {
+            for await (const piece of iterateSource(source)) {
+                inputSize += piece.length;
+                yield piece;
+            }
+        })();
+        const stream = transform(input);
+
+        while (true) {
+            const startTime = performance.now();
+            const { done, value } = await stream.next();
+            time += performance.now() - startTime;
+            if (done) break;
+
+            outputSize += value.length;
+            yield value;
+        }
+
+        const encrypting = operation === 'encrypt';
+        this.user.fileStats.push({
+            scheme: this.scheme,
+            schemePair,
+            operation,
+            time,
+            fileSize: encrypting ? inputSize : outputSize,
+            wireSize: encrypting ? outputSize : inputSize,
+            keyDerivationTime: this._measuredTime('keyDerivation', time, 0),
+            symmetricTime: this._measuredTime(encrypting ? 'symmetricEncrypt' : 'symmetricDecrypt', time, 0)
+        });
+    }
+
+    // ========== Key Serialisation Methods ==========
+
+    _ensureKeySerialization() {
+        if (typeof this.cryptoProvider.exportKey !== 'function') {
+            throw new UnsupportedSchemeError(`Key serialisation is not supported by the ${this.scheme} scheme`);
+        }
+    }
+
+    // The identity's public keys, what fingerprints and safety numbers are computed over
+    exportPublicKeys() {
+        this._ensureKeySerialization();
+        return {
+            kem: this.cryptoProvider.exportKey(this.identity.kemKeys.publicKey, KEY_TYPES.KEM_PUBLIC),
+            sign: this.cryptoProvider.exportKey(this.identity.signKeys.publicKey, KEY_TYPES.SIGN_PUBLIC)
+        };
+    }
+
+    exportKeyPairs() {
+        this._ensureKeySerialization();
+        const { kemKeys, signKeys } = this.identity;
+        return {
+            kemKeys: {
+                publicKey: this.cryptoProvider.exportKey(kemKeys.publicKey, KEY_TYPES.KEM_PUBLIC),
+                secretKey: this.cryptoProvider.exportKey(kemKeys.secretKey, KEY_TYPES.KEM_SECRET)
+            },
+            signKeys: {
+                publicKey: this.cryptoProvider.exportKey(signKeys.publicKey, KEY_TYPES.SIGN_PUBLIC),
+                secretKey: this.cryptoProvider.exportKey(signKeys.secretKey, KEY_TYPES.SIGN_SECRET)
+            }
+        };
+    }
+
+    // Returns the key pairs in the provider's own shape, the caller decides where they go
+    importKeyPairs(exported) {
+        this._ensureKeySerialization();
+        return {
+            kemKeys: {
+                publicKey: this.cryptoProvider.importKey(exported.kemKeys.publicKey, KEY_TYPES.KEM_PUBLIC),
+                secretKey: this.cryptoProvider.importKey(exported.kemKeys.secretKey, KEY_TYPES.KEM_SECRET)
+            },
+            signKeys: {
+                publicKey: this.cryptoProvider.importKey(exported.signKeys.publicKey, KEY_TYPES.SIGN_PUBLIC),
+                secretKey: this.cryptoProvider.importKey(exported.signKeys.secretKey, KEY_TYPES.SIGN_SECRET)
+            }
+        };
+    }
+
+    // Encryptors hold the identity's keys, they are recreated after an import
+    resetEncryptors() {
+        this.mailboxEncryptor = null;
+        this.teamEncryptor = null;
+    }
+
     // ========== Helper Methods ==========
 
-    _createStats(startTime, operation = 'encrypt', sizes = {}) {
+    // Associated data for a block, null when the provider cannot bind it
+    _blockHeader(block) {
+        return this.cryptoProvider.supportsAssociatedData ? encodeBlockHeader(block) : null;
+    }
+
+    // Uses the time measured by the provider when available, otherwise estimates it
+    _measuredTime(operation, totalTime, estimatedShare) {
+        if (typeof this.cryptoProvider.consumeTiming !== 'function') {
+            return totalTime * estimatedShare;
+        }
+        return Math.min(this.cryptoProvider.consumeTiming(operation), totalTime);
+    }
+
+    // Pairs are written as senderScheme->recipientScheme, using the kind of client on each side
+    _schemePair(senderScheme, recipientScheme) {
+        return `${senderScheme || this.scheme}->${recipientScheme || this.scheme}`;
+    }
+
+    // Chat statistics are kept apart from the document ones, see encryptChannelMessage
+    _createStats(startTime, operation = 'encrypt', sizes = {}, schemePair = this._schemePair(), statsLog = this.user.stats) {
         const totalTime = performance.now() - startTime;
-        let stats = { totalTime };
+        let stats = { totalTime, scheme: this.scheme, schemePair };
         
         if (operation === 'encrypt') {
+            const signTime = this._measuredTime('sign', totalTime, 0.3);
             stats = {
                 ...stats,
-                encryptTime: totalTime * 0.7,
-                signTime: totalTime * 0.3,
+                encryptTime: totalTime - signTime,
+                signTime,
+                symmetricTime: this._measuredTime('symmetricEncrypt', totalTime, 0),
+                keyDerivationTime: this._measuredTime('keyDerivation', totalTime, 0),
                 decryptTime: 0,
                 verifyTime: 0,
                 encryptedSize: sizes.encryptedSize || 0,
-                signatureSize: sizes.signatureSize || 0
+                signatureSize: sizes.signatureSize || 0,
+                // Bytes actually sent for one recipient, envelope included
+                wireSize: sizes.wireSize || 0
             };
         } else {
+            const verifyTime = this._measuredTime('verify', totalTime, 0.3);
             stats = {
                 ...stats,
                 encryptTime: 0,
                 signTime: 0,
-                decryptTime: totalTime * 0.7,
-                verifyTime: totalTime * 0.3
+                decryptTime: totalTime - verifyTime,
+                verifyTime,
+                symmetricTime: this._measuredTime('symmetricDecrypt', totalTime, 0),
+                keyDerivationTime: this._measuredTime('keyDerivation', totalTime, 0)
             };
         }
 
-        this.user.stats.push(stats);
+        statsLog.push(stats);
         return stats;
     }
 
@@ -177,7 +504,7 @@ export class MultiRecipientCrypto {
 
     // ========== Encryption Methods ==========
 
-    async encryptForTeam(data) {
+    async encryptForTeam(data, associatedData = null) {
         if (!this.teamKeys) {
             console.log('[MultiRecipientCrypto] No team keys found, generating new ones');
             this.teamKeys = this.generateTeamKeys();
@@ -187,27 +514,42 @@ export class MultiRecipientCrypto {
         
         // Check if encryptor can encrypt
         if (encryptor.can_encrypt === false) {
-            throw new Error('Team encryptor does not have encryption capability with current keys');
+            throw new MissingKeyError('Team encryptor does not have encryption capability with current keys');
         }
 
-        const encrypted = await encryptor.encrypt(data);
+        const encrypted = await encryptor.encrypt(data, associatedData);
         if (!encrypted) {
-            throw new Error('Team encryption failed to produce output');
+            throw new ValidationError('Team encryption failed to produce output');
         }
 
         return encrypted;
     }
 
-    async encryptForMailbox(data, recipientPublicKeys) {
+    async encryptForPad(data, documentId, associatedData = null) {
+        if (!this._supportsPads()) {
+            throw new UnsupportedSchemeError(`Pads are not supported by the ${this.scheme} scheme`);
+        }
+
+        const encryptor = await this.cryptoProvider.createPadEncryptor(this._getPadKeys(documentId));
+        if (!encryptor.encrypt) {
+            throw new MissingKeyError('Pad encryptor does not have a signing key');
+        }
+
+        return await encryptor.encrypt(data, associatedData);
+    }
+
+    async encryptForMailbox(data, recipientPublicKeys, associatedData = null) {
         const encryptor = await this.createMailboxEncryptor();
         const encryptedVersions = {};
 
         for (const recipientKey of recipientPublicKeys) {
             try {
-                const message = await encryptor.encrypt(data, recipientKey);
+                const message = await encryptor.encrypt(data, recipientKey, associatedData);
                 encryptedVersions[recipientKey] = message;
 
-                if (typeof message === 'object') {
+                if (typeof this.cryptoProvider.measureMessage === 'function') {
+                    this._trackMessageSizes(this.cryptoProvider.measureMessage(message));
+                } else if (typeof message === 'object') {
                     const encryptedSize = this._estimateSize(message.encryptedData || message);
                     const signatureSize = this._estimateSize(message.signature);
                     
@@ -218,7 +560,8 @@ export class MultiRecipientCrypto {
                 } else {
                     const totalSize = this._estimateSize(message);
                     this._trackMessageSizes({
-                        encryptedSize: totalSize
+                        encryptedSize: totalSize,
+                        wireSize: totalSize
                     });
                 }
             } catch (err) {
@@ -229,43 +572,61 @@ export class MultiRecipientCrypto {
         return encryptedVersions;
     }
 
-    async encryptForMultipleRecipients(data, recipientPublicKeys, encryptorType = ENCRYPTOR_TYPES.MAILBOX) {
+    // associatedData: the encoded block header, see encodeBlockHeader
+    async encryptForMultipleRecipients(data, recipientPublicKeys, encryptorType = ENCRYPTOR_TYPES.MAILBOX, recipientScheme = null, documentId = null, associatedData = null) {
         await this.ensureInitialized();
         const startTime = performance.now();
         const dataString = await this._normalizeDataToString(data);
+        const schemePair = this._schemePair(this.user.cryptoScheme, recipientScheme);
         let sizes = {};
 
         try {
             if (encryptorType === ENCRYPTOR_TYPES.TEAM) {
                 console.log('[MultiRecipientCrypto] Using TEAM encryptor for message');
-                const teamEncrypted = await this.encryptForTeam(dataString);
+                const teamEncrypted = await this.encryptForTeam(dataString, associatedData);
 
-                if (teamEncrypted) {
+                if (teamEncrypted && typeof this.cryptoProvider.measureMessage === 'function') {
+                    sizes = this.cryptoProvider.measureMessage(teamEncrypted);
+                } else if (teamEncrypted) {
                     sizes = {
                         encryptedSize: this._estimateSize(teamEncrypted.outerBundle?.encryptedData),
-                        signatureSize: this._estimateSize(teamEncrypted.signature)
+                        signatureSize: this._estimateSize(teamEncrypted.signature),
+                        wireSize: this._estimateSize(teamEncrypted)
                     };
                 }
                 
                 return {
                     teamEncrypted,
-                    stats: this._createStats(startTime, 'encrypt', sizes)
+                    stats: this._createStats(startTime, 'encrypt', sizes, schemePair)
+                };
+            } else if (encryptorType === ENCRYPTOR_TYPES.PAD) {
+                console.log('[MultiRecipientCrypto] Using PAD encryptor for message');
+                const padEncrypted = await this.encryptForPad(dataString, documentId, associatedData);
+
+                sizes = typeof this.cryptoProvider.measureMessage === 'function'
+                    ? this.cryptoProvider.measureMessage(padEncrypted)
+                    : { encryptedSize: this._estimateSize(padEncrypted), wireSize: this._estimateSize(padEncrypted) };
+
+                return {
+                    padEncrypted,
+                    stats: this._createStats(startTime, 'encrypt', sizes, schemePair)
                 };
             } else {
                 console.log('[MultiRecipientCrypto] Using MAILBOX encryptor for message');
-                const encryptedVersions = await this.encryptForMailbox(dataString, recipientPublicKeys);
+                const encryptedVersions = await this.encryptForMailbox(dataString, recipientPublicKeys, associatedData);
 
                 if (this.user.messageSizes?.length > 0) {
                     const lastMsg = this.user.messageSizes[this.user.messageSizes.length - 1];
                     sizes = {
                         encryptedSize: lastMsg.encryptedSize || 0,
-                        signatureSize: lastMsg.signatureSize || 0
+                        signatureSize: lastMsg.signatureSize || 0,
+                        wireSize: lastMsg.wireSize || 0
                     };
                 }
                 
                 return {
                     encryptedVersions,
-                    stats: this._createStats(startTime, 'encrypt', sizes)
+                    stats: this._createStats(startTime, 'encrypt', sizes, schemePair)
                 };
             }
         } catch (err) {
@@ -274,7 +635,7 @@ export class MultiRecipientCrypto {
         }
     }
 
-    async createSharedBlock(data, recipientPublicKeys, encryptorType = ENCRYPTOR_TYPES.MAILBOX) {
+    async createSharedBlock(data, recipientPublicKeys, encryptorType = ENCRYPTOR_TYPES.MAILBOX, recipientScheme = null, documentId = null) {
         await this.ensureInitialized();
         console.log(`[MultiRecipientCrypto] Creating shared block with encryptor type: ${encryptorType}`);
 
@@ -289,21 +650,26 @@ export class MultiRecipientCrypto {
         const baseBlock = {
             userId: this.user.id,
             blockData: originalData,
-            signPublicKey: this.user.signKeys.publicKey,
+            signPublicKey: this.identity.signKeys.publicKey,
             timestamp: Date.now(),
             scheme: this.scheme,
+            senderScheme: this.user.cryptoScheme,
+            documentId,
             encryptorType
         };
 
-        const { teamEncrypted, encryptedVersions } = await this.encryptForMultipleRecipients(
+        const { teamEncrypted, padEncrypted, encryptedVersions } = await this.encryptForMultipleRecipients(
             dataString,
             recipientPublicKeys,
-            encryptorType
+            encryptorType,
+            recipientScheme,
+            documentId,
+            this._blockHeader(baseBlock)
         );
 
         if (encryptorType === ENCRYPTOR_TYPES.TEAM) {
             if (!teamEncrypted) {
-                throw new Error("Team encryption failed: no encrypted data returned");
+                throw new ValidationError("Team encryption failed: no encrypted data returned");
             }
 
             return {
@@ -311,6 +677,11 @@ export class MultiRecipientCrypto {
                 teamEncrypted,
                 teamKeys: this.teamKeys
             };
+        } else if (encryptorType === ENCRYPTOR_TYPES.PAD) {
+            return {
+                ...baseBlock,
+                padEncrypted
+            };
         } else {
             return {
                 ...baseBlock,
@@ -323,7 +694,7 @@ export class MultiRecipientCrypto {
 
     async decryptTeamBlock(block) {
         if (!block.teamEncrypted) {
-            throw new Error("Invalid team block structure: missing teamEncrypted property");
+            throw new ValidationError("Invalid team block structure: missing teamEncrypted property");
         }
 
         // Set appropriate team keys
@@ -331,7 +702,7 @@ export class MultiRecipientCrypto {
             console.log("[MultiRecipientCrypto] Using team keys from block");
             this.setTeamKeys(block.teamKeys);
         } else if (!this.teamKeys) {
-            throw new Error("No team keys available for decryption");
+            throw new MissingKeyError("No team keys available for decryption");
         } else {
             console.log("[MultiRecipientCrypto] Using existing team keys");
         }
@@ -340,7 +711,7 @@ export class MultiRecipientCrypto {
         
         // Check if encryptor can decrypt
         if (encryptor.can_decrypt === false) {
-            throw new Error('Team encryptor does not have decryption capability with current keys');
+            throw new MissingKeyError('Team encryptor does not have decryption capability with current keys');
         }
         
         console.log("[MultiRecipientCrypto] Team encryptor created, attempting to decrypt");
@@ -350,10 +721,10 @@ export class MultiRecipientCrypto {
             // skipValidation is explicitly set to false to ensure signatures are always verified
             // This is a security measure - only set to true in special circumstances where
             // signature validation is handled elsewhere or not needed
-            const result = await encryptor.decrypt(block.teamEncrypted, false);
+            const result = await encryptor.decrypt(block.teamEncrypted, false, this._blockHeader(block));
             
             if (!result) {
-                throw new Error('Decryption succeeded but returned null or undefined result');
+                throw new DecryptionError('Decryption succeeded but returned null or undefined result');
             }
             
             if (!result.content) {
@@ -365,7 +736,7 @@ export class MultiRecipientCrypto {
                     // If we have author but no content, the API might be returning a different structure
                     return JSON.stringify(result);
                 }
-                throw new Error('Team decryption succeeded but returned invalid content structure');
+                throw new DecryptionError('Team decryption succeeded but returned invalid content structure');
             }
             
             return result.content;
@@ -375,24 +746,37 @@ export class MultiRecipientCrypto {
         }
     }
 
+    async decryptPadBlock(block) {
+        if (!block.padEncrypted) {
+            throw new ValidationError("Invalid pad block structure: missing padEncrypted property");
+        }
+
+        const keys = this._getPadKeys(block.documentId);
+        const encryptor = await this.cryptoProvider.createPadEncryptor(keys);
+
+        // The pad's validateKey, not the author's key, checks edits
+        return await encryptor.decrypt(block.padEncrypted, keys.validateKey, false, this._blockHeader(block));
+    }
+
     async decryptMailboxBlock(block) {
         if (!block.encryptedVersions) {
-            throw new Error("Invalid mailbox block structure: missing encryptedVersions property");
+            throw new ValidationError("Invalid mailbox block structure: missing encryptedVersions property");
         }
 
-        const myVersion = block.encryptedVersions[this.user.kemKeys.publicKey];
+        const myVersion = block.encryptedVersions[this.identity.kemKeys.publicKey];
         if (!myVersion) {
-            throw new Error("No encrypted version found for this user");
+            throw new MissingKeyError("No encrypted version found for this user");
         }
 
         const encryptor = await this.createMailboxEncryptor();
         if (!block.signPublicKey) {
-            throw new Error("Missing signature validation key in block");
+            throw new MissingKeyError("Missing signature validation key in block");
         }
 
         return await encryptor.decrypt(
             myVersion,
-            block.signPublicKey
+            block.signPublicKey,
+            this._blockHeader(block)
         );
     }
 
@@ -401,10 +785,12 @@ export class MultiRecipientCrypto {
         const startTime = performance.now();
         let decryptedData = null;
         let error = null;
+        let errorCode = null;
+        let stats = null;
 
         try {
             if (!block) {
-                throw new Error("Block is undefined");
+                throw new ValidationError("Block is undefined");
             }
 
             const isTeamEncryption = block.encryptorType === ENCRYPTOR_TYPES.TEAM;
@@ -413,23 +799,41 @@ export class MultiRecipientCrypto {
 
             if (isTeamEncryption) {
                 decryptedData = await this.decryptTeamBlock(block);
+            } else if (block.encryptorType === ENCRYPTOR_TYPES.PAD) {
+                decryptedData = await this.decryptPadBlock(block);
             } else {
                 decryptedData = await this.decryptMailboxBlock(block);
             }
 
             const totalDecryptTime = performance.now() - decryptStart;
-            const stats = {
+            const verifyTime = this._measuredTime('verify', totalDecryptTime, 0.3);
+            stats = {
+                scheme: this.scheme,
+                schemePair: this._schemePair(block.senderScheme, this.user.cryptoScheme),
                 encryptTime: 0,
                 signTime: 0,
-                decryptTime: totalDecryptTime * 0.7,
-                verifyTime: totalDecryptTime * 0.3,
+                decryptTime: totalDecryptTime - verifyTime,
+                verifyTime,
+                symmetricTime: this._measuredTime('symmetricDecrypt', totalDecryptTime, 0),
+                keyDerivationTime: this._measuredTime('keyDerivation', totalDecryptTime, 0),
+                // Time until the signature was checked, all of it when it is only checked after decrypting
+                verificationLatency: this._measuredTime('verificationLatency', totalDecryptTime, 1),
                 totalTime: performance.now() - startTime
             };
 
             this.user.stats.push(stats);
         } catch (err) {
             error = err.message;
-            console.error(`[MultiRecipientCrypto] Decryption error:`, err);
+            errorCode = getErrorCode(err);
+            console.error(`[MultiRecipientCrypto] Decryption error (${errorCode}):`, err);
+
+            // Failed blocks are counted by code in the analytics, see collectFailureStats
+            this.user.stats.push({
+                scheme: this.scheme,
+                schemePair: this._schemePair(block?.senderScheme, this.user.cryptoScheme),
+                error,
+                errorCode
+            });
         }
 
         const totalTime = performance.now() - startTime;
@@ -439,10 +843,11 @@ export class MultiRecipientCrypto {
             signatureValid: !!decryptedData && !error,
             decryptionValid: !!decryptedData && !error,
             time: totalTime,
-            verifyTime: error ? 0 : totalTime * 0.3,
-            decryptTime: error ? 0 : totalTime * 0.7,
+            verifyTime: stats ? stats.verifyTime : 0,
+            decryptTime: stats ? stats.decryptTime : 0,
             decryptedData,
-            error
+            error,
+            errorCode
         };
     }
 }
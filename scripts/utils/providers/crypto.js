@@ -2,8 +2,9 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
-(function () {
-    'use strict';
+import nacl from 'tweetnacl';
+import naclUtil from 'tweetnacl-util';
+
 var factory = function (Nacl, NaclUtil) {
     var Crypto = {
         Nacl: Nacl
@@ -870,17 +871,7 @@ We assume:
     return Crypto;
 };
 
-    if (typeof(module) !== 'undefined' && module.exports) {
-        module.exports = factory(require('tweetnacl/nacl-fast'), require('tweetnacl-util'));
-    } else if ((typeof(define) !== 'undefined' && define !== null) && (define.amd !== null)) {
-        define([
-            '/components/tweetnacl/nacl-fast.min.scripts',
-            '/components/tweetnacl-util/nacl-util.min.scripts',
-        ], function (nacl, naclUtil) {
-            window.chainpad_crypto = factory(nacl, naclUtil);
-            return window.chainpad_crypto;
-        });
-    } else {
-        window.chainpad_crypto = factory(window.nacl, window.nacl?.util);
-    }
-}());
+// An ES module rather than a UMD script, so Node and the bundle load it with its
+// tweetnacl and tweetnacl-util from the local dependencies
+export { factory as createCrypto };
+export default factory(nacl, naclUtil);
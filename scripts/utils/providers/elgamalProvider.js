@@ -3,13 +3,76 @@
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
 import { loadCryptoModule } from './cryptoLoader.js';
+import { KEY_TYPES, KEY_ENCODINGS, serializeKey, deserializeKey } from '../keySerialization.js';
+import { encodeUint32 } from '../fileStream.js';
+import {
+    ValidationError, MissingKeyError, UnsupportedVersionError, UnsupportedSchemeError, toCryptoError
+} from '../cryptoErrors.js';
+
+/*  Curves
+
+    algorithm        WebCrypto algorithm name, with namedCurve for the NIST curves
+    keyId            algorithm id of the serialised KEM keys
+    publicKeyLength  length of a "raw" public key (uncompressed points for the NIST curves)
+    sharedSecretBits ECDH output length, secrets longer than the AES key are hashed down with hash
+    nistCategory     category of the matching ML-KEM parameter set, for classical attackers only
+
+X25519 depends on the runtime's WebCrypto, see isCurveSupported.
+*/
+export const ELGAMAL_CURVES = {
+    'p-256': {
+        id: 'p-256', name: 'P-256', algorithm: 'ECDH', namedCurve: 'P-256', keyId: 'ecdh-p256',
+        publicKeyLength: 65, sharedSecretBits: 256, hash: 'SHA-256', nistCategory: 1, isDefault: true
+    },
+    'p-384': {
+        id: 'p-384', name: 'P-384', algorithm: 'ECDH', namedCurve: 'P-384', keyId: 'ecdh-p384',
+        publicKeyLength: 97, sharedSecretBits: 384, hash: 'SHA-384', nistCategory: 3
+    },
+    'p-521': {
+        id: 'p-521', name: 'P-521', algorithm: 'ECDH', namedCurve: 'P-521', keyId: 'ecdh-p521',
+        publicKeyLength: 133, sharedSecretBits: 528, hash: 'SHA-512', nistCategory: 5
+    },
+    'x25519': {
+        id: 'x25519', name: 'X25519', algorithm: 'X25519', keyId: 'x25519',
+        publicKeyLength: 32, sharedSecretBits: 256, hash: 'SHA-256', nistCategory: 1
+    }
+};
+
+export const DEFAULT_ELGAMAL_CURVE = 'p-256';
+
+export const listElGamalCurves = () => Object.values(ELGAMAL_CURVES);
+
+const AES_KEY_BITS = 256;
+const AES_GCM_IV_LENGTH = 12;
+const curveSupport = {};
+
+const curveKeyAlgorithm = (curve) => curve.namedCurve
+    ? { name: curve.algorithm, namedCurve: curve.namedCurve }
+    : { name: curve.algorithm };
+
+// Whether WebCrypto can generate keys on the curve, checked once per curve
+export function isCurveSupported(curveId) {
+    const curve = ELGAMAL_CURVES[curveId];
+    if (!curve) return Promise.resolve(false);
+
+    if (!curveSupport[curveId]) {
+        curveSupport[curveId] = globalThis.crypto.subtle
+            .generateKey(curveKeyAlgorithm(curve), false, ["deriveBits"])
+            .then(() => true, () => false);
+    }
+    return curveSupport[curveId];
+}
 
 export class ElGamalCryptoProvider {
-    constructor() {
+    constructor(options = {}) {
         this.cryptoModule = null;
         this.initialized = false;
         this.initPromise = null;
-        console.log('[ElGamalProvider] Initialized ElGamal crypto provider');
+        this.supportsAssociatedData = true;
+        this.curve = ELGAMAL_CURVES[options.curve || DEFAULT_ELGAMAL_CURVE];
+
+        if (!this.curve) throw new UnsupportedSchemeError(`Invalid ElGamal curve specified: ${options.curve}`);
+        console.log(`[ElGamalProvider] Initialized ElGamal crypto provider on ${this.curve.name}`);
     }
 
     async init() {
@@ -26,6 +89,9 @@ export class ElGamalCryptoProvider {
                 this.cryptoModule = await loadCryptoModule();
                 
                 this.validateCryptoModule();
+                if (!await isCurveSupported(this.curve.id)) {
+                    throw new UnsupportedSchemeError(`${this.curve.name} is not supported by this runtime's WebCrypto`);
+                }
                 this.initialized = true;
                 resolve(true);
             } catch (error) {
@@ -42,11 +108,11 @@ export class ElGamalCryptoProvider {
 
     validateCryptoModule() {
         if (!this.cryptoModule) {
-            throw new Error('Failed to load chainpad_crypto module');
+            throw new UnsupportedSchemeError('Failed to load chainpad_crypto module');
         }
 
         if (!this.cryptoModule.Nacl) {
-            throw new Error('Nacl implementation not found in crypto module');
+            throw new UnsupportedSchemeError('Nacl implementation not found in crypto module');
         }
     }
 
@@ -125,17 +191,10 @@ export class ElGamalCryptoProvider {
         await this.ensureInitialized();
         
         try {
-            const keyPair = await window.crypto.subtle.generateKey(
-                {
-                    name: "ECDH",
-                    namedCurve: "P-256"
-                },
-                true,
-                ["deriveKey", "deriveBits"]
-            );
+            const keyPair = await this._generateECDHKeyPair();
 
-            const publicKeyRaw = await window.crypto.subtle.exportKey("raw", keyPair.publicKey);
-            const privateKeyRaw = await window.crypto.subtle.exportKey("pkcs8", keyPair.privateKey);
+            const publicKeyRaw = await globalThis.crypto.subtle.exportKey("raw", keyPair.publicKey);
+            const privateKeyRaw = await globalThis.crypto.subtle.exportKey("pkcs8", keyPair.privateKey);
 
             return {
                 publicKey: this.cryptoModule.Nacl.util.encodeBase64(new Uint8Array(publicKeyRaw)),
@@ -163,31 +222,72 @@ export class ElGamalCryptoProvider {
         };
     }
 
-    // ========== ECDH Key Import Methods ==========
+    // ========== ECDH Key Methods ==========
+
+    async _generateECDHKeyPair() {
+        return await globalThis.crypto.subtle.generateKey(
+            curveKeyAlgorithm(this.curve),
+            true,
+            ["deriveKey", "deriveBits"]
+        );
+    }
+
+    // AES-256 key from the ECDH secret, used as it is when it has the key's length (P-256, X25519)
+    async _deriveAesKey(privateKey, publicKey, usage) {
+        const sharedSecret = await globalThis.crypto.subtle.deriveBits(
+            { name: this.curve.algorithm, public: publicKey },
+            privateKey,
+            this.curve.sharedSecretBits
+        );
+
+        if (this.curve.sharedSecretBits === AES_KEY_BITS) {
+            return await globalThis.crypto.subtle.importKey(
+                "raw",
+                sharedSecret,
+                { name: "AES-GCM", length: AES_KEY_BITS },
+                false,
+                [usage]
+            );
+        }
+
+        const hkdfKey = await globalThis.crypto.subtle.importKey("raw", sharedSecret, "HKDF", false, ["deriveKey"]);
+        return await globalThis.crypto.subtle.deriveKey(
+            {
+                name: "HKDF",
+                hash: this.curve.hash,
+                salt: new Uint8Array(0),
+                info: new TextEncoder().encode(`CryptPad.ElGamal.${this.curve.id}`)
+            },
+            hkdfKey,
+            { name: "AES-GCM", length: AES_KEY_BITS },
+            false,
+            [usage]
+        );
+    }
 
     async _importECDHPublicKey(base64Key) {
         try {
             const binaryKey = this.cryptoModule.Nacl.util.decodeBase64(base64Key);
-            return await window.crypto.subtle.importKey(
+            return await globalThis.crypto.subtle.importKey(
                 "raw",
                 binaryKey,
-                { name: "ECDH", namedCurve: "P-256" },
+                curveKeyAlgorithm(this.curve),
                 false,
                 []
             );
         } catch (error) {
             console.error('[ElGamalProvider] Error importing ECDH public key:', error);
-            throw new Error('Failed to import recipient public key');
+            throw new ValidationError('Failed to import recipient public key', { cause: error });
         }
     }
 
     async _importECDHPrivateKey(base64Key) {
         try {
             const binaryKey = this.cryptoModule.Nacl.util.decodeBase64(base64Key);
-            return await window.crypto.subtle.importKey(
+            return await globalThis.crypto.subtle.importKey(
                 "pkcs8",
                 binaryKey,
-                { name: "ECDH", namedCurve: "P-256" },
+                curveKeyAlgorithm(this.curve),
                 false,
                 ["deriveBits"]
             );
@@ -197,72 +297,71 @@ export class ElGamalCryptoProvider {
             // Try alternative import format if PKCS8 fails
             try {
                 const binaryKey = this.cryptoModule.Nacl.util.decodeBase64(base64Key);
-                return await window.crypto.subtle.importKey(
+                return await globalThis.crypto.subtle.importKey(
                     "raw",
                     binaryKey,
-                    { name: "ECDH", namedCurve: "P-256" },
+                    curveKeyAlgorithm(this.curve),
                     false,
                     ["deriveBits"]
                 );
             } catch (innerError) {
                 console.error('[ElGamalProvider] Alternative key import also failed:', innerError);
-                throw new Error('Failed to import private key for decryption');
+                throw new ValidationError('Failed to import private key for decryption', { cause: innerError });
             }
         }
     }
 
+    // ========== Associated Data Methods ==========
+
+    // AES-GCM parameters, associatedData (a block header) is authenticated along with the ciphertext
+    _aesGcmParams(iv, associatedData) {
+        return associatedData?.length
+            ? { name: "AES-GCM", iv: iv, additionalData: associatedData }
+            : { name: "AES-GCM", iv: iv };
+    }
+
+    // The signature covers the associated data too, length-prefixed ahead of the message
+    _signedWithAssociatedData(messageToSign, associatedData) {
+        if (!associatedData?.length) return messageToSign;
+        return this.concatUint8Arrays([encodeUint32(associatedData.length), associatedData, messageToSign]);
+    }
+
     // ========== ElGamal Mailbox Encryptor ==========
 
     async createMailboxEncryptor(keys) {
         await this.ensureInitialized();
         
         return {
-            encrypt: async (plain, recipientPublicKey) => {
+            encrypt: async (plain, recipientPublicKey, associatedData = null) => {
                 try {
                     console.log('[ElGamalProvider] Using ElGamal hybrid encryption');
 
-                    const ephemeralKeyPair = await window.crypto.subtle.generateKey(
-                        { name: "ECDH", namedCurve: "P-256" },
-                        true,
-                        ["deriveBits"]
-                    );
+                    const ephemeralKeyPair = await this._generateECDHKeyPair();
 
                     const recipientPubKey = await this._importECDHPublicKey(recipientPublicKey);
 
-                    const sharedSecret = await window.crypto.subtle.deriveBits(
-                        { name: "ECDH", public: recipientPubKey },
-                        ephemeralKeyPair.privateKey,
-                        256 // 32 bytes for AES-GCM
-                    );
-
-                    const aesKey = await window.crypto.subtle.importKey(
-                        "raw",
-                        sharedSecret,
-                        { name: "AES-GCM", length: 256 },
-                        false,
-                        ["encrypt"]
-                    );
+                    const aesKey = await this._deriveAesKey(ephemeralKeyPair.privateKey, recipientPubKey, "encrypt");
 
                     const encoder = new TextEncoder();
                     const dataToEncrypt = typeof plain === 'string' ? encoder.encode(plain) : plain;
-                    const iv = window.crypto.getRandomValues(new Uint8Array(12));
-                    const ciphertext = await window.crypto.subtle.encrypt(
-                        { name: "AES-GCM", iv: iv },
+                    const iv = globalThis.crypto.getRandomValues(new Uint8Array(AES_GCM_IV_LENGTH));
+                    const ciphertext = await globalThis.crypto.subtle.encrypt(
+                        this._aesGcmParams(iv, associatedData),
                         aesKey,
                         dataToEncrypt
                     );
 
-                    const ephemeralPubKeyRaw = await window.crypto.subtle.exportKey(
+                    const ephemeralPubKeyRaw = await globalThis.crypto.subtle.exportKey(
                         "raw",
                         ephemeralKeyPair.publicKey
                     );
 
                     const signingKey = this.cryptoModule.Nacl.util.decodeBase64(keys.signingKey);
-                    const messageToSign = this.concatUint8Arrays([
+                    const messageToSign = this._signedWithAssociatedData(this.concatUint8Arrays([
                         new Uint8Array(ephemeralPubKeyRaw),
                         iv,
                         new Uint8Array(ciphertext)
-                    ]);
+                    ]), associatedData);
                     const signature = this.cryptoModule.Nacl.sign.detached(
                         messageToSign,
                         signingKey
@@ -270,6 +369,7 @@ export class ElGamalCryptoProvider {
 
                     const result = {
                         version: "elgamal-1.0",
+                        curve: this.curve.id,
                         ephemeralPublicKey: this.cryptoModule.Nacl.util.encodeBase64(new Uint8Array(ephemeralPubKeyRaw)),
                         iv: this.cryptoModule.Nacl.util.encodeBase64(iv),
                         ciphertext: this.cryptoModule.Nacl.util.encodeBase64(new Uint8Array(ciphertext)),
@@ -280,21 +380,30 @@ export class ElGamalCryptoProvider {
                     return this.cryptoModule.Nacl.util.encodeBase64(encoder.encode(JSON.stringify(result)));
                 } catch (err) {
                     console.error('[ElGamalProvider] Encryption failed:', err);
-                    throw err;
+                    throw toCryptoError(err, ValidationError);
                 }
             },
             
-            decrypt: async (ciphertext, validateKey) => {
+            decrypt: async (ciphertext, validateKey, associatedData = null) => {
                 try {
                     console.log('[ElGamalProvider] Using ElGamal hybrid decryption');
                     
                     const decoder = new TextDecoder();
-                    const ciphertextBytes = this.cryptoModule.Nacl.util.decodeBase64(ciphertext);
-                    const ciphertextStr = decoder.decode(ciphertextBytes);
-                    const encryptedMessage = JSON.parse(ciphertextStr);
+                    let encryptedMessage;
+                    try {
+                        const ciphertextBytes = this.cryptoModule.Nacl.util.decodeBase64(ciphertext);
+                        encryptedMessage = JSON.parse(decoder.decode(ciphertextBytes));
+                    } catch (error) {
+                        throw new ValidationError('Malformed ElGamal message', { cause: error });
+                    }
 
                     if (encryptedMessage.version !== "elgamal-1.0") {
-                        throw new Error('Unsupported encryption version');
+                        throw new UnsupportedVersionError(`Unsupported encryption version: ${encryptedMessage.version}`);
+                    }
+                    // Messages from before the curve was configurable are P-256
+                    const messageCurve = encryptedMessage.curve || DEFAULT_ELGAMAL_CURVE;
+                    if (messageCurve !== this.curve.id) {
+                        throw new UnsupportedSchemeError(`Message encrypted on ${messageCurve}, this provider uses ${this.curve.id}`);
                     }
 
                     const ephemeralPubKeyBytes = this.cryptoModule.Nacl.util.decodeBase64(encryptedMessage.ephemeralPublicKey);
@@ -304,11 +413,11 @@ export class ElGamalCryptoProvider {
 
                     if (validateKey) {
                         console.log('[ElGamalProvider] Verifying signature with key:', validateKey.substring(0, 10) + '...');
-                        const messageToVerify = this.concatUint8Arrays([
+                        const messageToVerify = this._signedWithAssociatedData(this.concatUint8Arrays([
                             ephemeralPubKeyBytes,
                             iv,
                             encryptedData
-                        ]);
+                        ]), associatedData);
                         
                         const validationKeyBytes = this.cryptoModule.Nacl.util.decodeBase64(validateKey);
                         const isValid = this.cryptoModule.Nacl.sign.detached.verify(
@@ -318,37 +427,25 @@ export class ElGamalCryptoProvider {
                         );
                         
                         if (!isValid) {
-                            throw new Error('Invalid signature');
+                            throw new ValidationError('Invalid signature');
                         }
                         console.log('[ElGamalProvider] Signature verification successful');
                     }
 
-                    const ephemeralPubKey = await window.crypto.subtle.importKey(
+                    const ephemeralPubKey = await globalThis.crypto.subtle.importKey(
                         "raw",
                         ephemeralPubKeyBytes,
-                        { name: "ECDH", namedCurve: "P-256" },
+                        curveKeyAlgorithm(this.curve),
                         false,
                         []
                     );
 
                    const privateKey = await this._importECDHPrivateKey(keys.curvePrivate);
 
-                    const sharedSecret = await window.crypto.subtle.deriveBits(
-                        { name: "ECDH", public: ephemeralPubKey },
-                        privateKey,
-                        256
-                    );
-
-                    const aesKey = await window.crypto.subtle.importKey(
-                        "raw",
-                        sharedSecret,
-                        { name: "AES-GCM", length: 256 },
-                        false,
-                        ["decrypt"]
-                    );
+                    const aesKey = await this._deriveAesKey(privateKey, ephemeralPubKey, "decrypt");
 
-                    const decrypted = await window.crypto.subtle.decrypt(
-                        { name: "AES-GCM", iv: iv },
+                    const decrypted = await globalThis.crypto.subtle.decrypt(
+                        this._aesGcmParams(iv, associatedData),
                         aesKey,
                         encryptedData
                     );
@@ -356,34 +453,231 @@ export class ElGamalCryptoProvider {
                     return decoder.decode(decrypted);
                 } catch (err) {
                     console.error('[ElGamalProvider] Decryption failed:', err);
-                    throw err;
+                    throw toCryptoError(err);
                 }
             }
         };
     }
 
     // ========== Team Encryptor ==========
-    
-    // Not Yet added
+
+    /*  sign(ecdh(ecdh(msg, author), ephemeral), team_signing_key), as encryptForTeam in crypto.js
+
+    Each layer is a box to the team key, as asymmetric_encrypt in crypto.js:
+
+        sender public key (raw, curve.publicKeyLength) || AES-GCM nonce (12) || AES-GCM ciphertext
+
+    keyed with the ECDH secret of the sender's key and the team key. The inner layer is
+    boxed from the author's key, so members learn who wrote the message, the outer layer
+    from a fresh ephemeral key, so nothing left outside identifies the author. The team's
+    Ed25519 signature is put in front of the outer layer, as Nacl.sign does.
+    */
+
+    // Like Team.createEncryptor, partial key sets give a read-only or a write-only encryptor
+    async createTeamEncryptor(keys) {
+        await this.ensureInitialized();
+        this.validateTeamKeys(keys);
+
+        const canEncrypt = this.teamCanEncrypt(keys);
+        const canDecrypt = this.teamCanDecrypt(keys);
+
+        return {
+            encrypt: async (plain, associatedData = null) => {
+                try {
+                    if (!canEncrypt) {
+                        throw new MissingKeyError('Missing team keys for encryption');
+                    }
+                    return await this.teamEncrypt(plain, keys, associatedData);
+                } catch (err) {
+                    console.error('[ElGamalProvider] Team encryption failed:', err);
+                    throw toCryptoError(err, ValidationError);
+                }
+            },
+
+            decrypt: async (cipher, skipValidation = false, associatedData = null) => {
+                try {
+                    if (!canDecrypt) {
+                        throw new MissingKeyError('Missing team keys for decryption');
+                    }
+                    return await this.teamDecrypt(cipher, keys, skipValidation, associatedData);
+                } catch (err) {
+                    console.error('[ElGamalProvider] Team decryption failed:', err);
+                    throw toCryptoError(err);
+                }
+            },
+
+            can_encrypt: canEncrypt,
+            can_decrypt: canDecrypt
+        };
+    }
+
+    async teamEncrypt(plain, keys, associatedData = null) {
+        const Nacl = this.cryptoModule.Nacl;
+        const teamPublicKey = await this._importECDHPublicKey(keys.teamCurvePublic);
+
+        // Inner layer, from the author's key
+        const inner = await this._teamBox(
+            await this.textToBytes(plain),
+            teamPublicKey,
+            await this._importECDHPrivateKey(keys.myCurvePrivate),
+            Nacl.util.decodeBase64(keys.myCurvePublic),
+            associatedData
+        );
+
+        // Outer layer, from a fresh ephemeral key
+        const ephemeralKeyPair = await this._generateECDHKeyPair();
+        const ephemeralPublicKey = await globalThis.crypto.subtle.exportKey("raw", ephemeralKeyPair.publicKey);
+        const outer = await this._teamBox(
+            inner,
+            teamPublicKey,
+            ephemeralKeyPair.privateKey,
+            new Uint8Array(ephemeralPublicKey),
+            associatedData
+        );
+
+        const signature = Nacl.sign.detached(
+            this._signedWithAssociatedData(outer, associatedData),
+            Nacl.util.decodeBase64(keys.teamEdPrivate)
+        );
+        return Nacl.util.encodeBase64(this.concatUint8Arrays([signature, outer]));
+    }
+
+    // Returns { content, author } as Team.createEncryptor, author being the author's public key
+    async teamDecrypt(cipher, keys, skipValidation = false, associatedData = null) {
+        const Nacl = this.cryptoModule.Nacl;
+        const bundle = Nacl.util.decodeBase64(cipher);
+        if (bundle.length < Nacl.sign.signatureLength) {
+            throw new ValidationError('Team message too short');
+        }
+        const signature = bundle.subarray(0, Nacl.sign.signatureLength);
+        const outer = bundle.subarray(Nacl.sign.signatureLength);
+
+        if (skipValidation !== true) {
+            const isValid = Nacl.sign.detached.verify(
+                this._signedWithAssociatedData(outer, associatedData),
+                signature,
+                Nacl.util.decodeBase64(keys.teamEdPublic)
+            );
+            if (!isValid) {
+                throw new ValidationError('Invalid team signature');
+            }
+        }
+
+        const teamPrivateKey = await this._importECDHPrivateKey(keys.teamCurvePrivate);
+        const inner = await this._teamOpen(outer, teamPrivateKey, associatedData);
+        const message = await this._teamOpen(inner.content, teamPrivateKey, associatedData);
+
+        return {
+            content: await this.bytesToText(message.content),
+            author: Nacl.util.encodeBase64(message.author)
+        };
+    }
+
+    async _teamBox(plain, theirPublicKey, myPrivateKey, myPublicKeyBytes, associatedData) {
+        const aesKey = await this._deriveAesKey(myPrivateKey, theirPublicKey, "encrypt");
+        const iv = globalThis.crypto.getRandomValues(new Uint8Array(AES_GCM_IV_LENGTH));
+        const ciphertext = await globalThis.crypto.subtle.encrypt(
+            this._aesGcmParams(iv, associatedData),
+            aesKey,
+            plain
+        );
+        return this.concatUint8Arrays([myPublicKeyBytes, iv, new Uint8Array(ciphertext)]);
+    }
+
+    async _teamOpen(box, myPrivateKey, associatedData) {
+        const { publicKeyLength } = this.curve;
+        if (box.length < publicKeyLength + AES_GCM_IV_LENGTH) {
+            throw new ValidationError('Team layer too short');
+        }
+        const author = box.slice(0, publicKeyLength);
+        const iv = box.slice(publicKeyLength, publicKeyLength + AES_GCM_IV_LENGTH);
+        const ciphertext = box.slice(publicKeyLength + AES_GCM_IV_LENGTH);
+
+        const authorKey = await this._importECDHPublicKey(this.cryptoModule.Nacl.util.encodeBase64(author));
+        const aesKey = await this._deriveAesKey(myPrivateKey, authorKey, "decrypt");
+        const content = await globalThis.crypto.subtle.decrypt(
+            this._aesGcmParams(iv, associatedData),
+            aesKey,
+            ciphertext
+        );
+        return { content: new Uint8Array(content), author };
+    }
+
+    // ========== Key Serialisation Methods ==========
+
+    // ECDH keys are on the provider's curve, raw public keys and PKCS8 secret keys, unless key
+    // generation fell back to NaCl (raw X25519). Signing keys are Ed25519, as in the NaCl provider.
+    _keyDescription(type, bytes) {
+        if (type === KEY_TYPES.SIGN_PUBLIC || type === KEY_TYPES.SIGN_SECRET) {
+            return { algorithm: 'ed25519', encoding: KEY_ENCODINGS.RAW };
+        }
+        const isPublic = type === KEY_TYPES.KEM_PUBLIC;
+        const isNaclFallback = bytes.length === this.cryptoModule.Nacl.box.publicKeyLength;
+        if (isNaclFallback) {
+            return { algorithm: 'x25519', encoding: KEY_ENCODINGS.RAW };
+        }
+        return { algorithm: this.curve.keyId, encoding: isPublic ? KEY_ENCODINGS.RAW : KEY_ENCODINGS.PKCS8 };
+    }
+
+    exportKey(key, type) {
+        const bytes = this.cryptoModule.Nacl.util.decodeBase64(key);
+        return serializeKey({ ...this._keyDescription(type, bytes), type, bytes });
+    }
+
+    importKey(serialized, type) {
+        const { algorithm, encoding, bytes } = deserializeKey(serialized, { type });
+        const expected = this._keyDescription(type, bytes);
+        if (algorithm !== expected.algorithm || encoding !== expected.encoding) {
+            throw new UnsupportedSchemeError(`Unsupported ${type} key: ${algorithm} (${encoding})`);
+        }
+        if (algorithm === this.curve.keyId && type === KEY_TYPES.KEM_PUBLIC && bytes.length !== this.curve.publicKeyLength) {
+            throw new ValidationError(`Invalid ${algorithm} ${type} key length: ${bytes.length}`);
+        }
+        return this.cryptoModule.Nacl.util.encodeBase64(bytes);
+    }
 
     // ========== Key Validation Methods ==========
 
+    // Same rules as team_can_encrypt and team_can_decrypt in crypto.js
+    teamCanEncrypt(keys) {
+        return !!(keys.teamCurvePublic && keys.teamEdPrivate && keys.myCurvePublic && keys.myCurvePrivate);
+    }
+
+    teamCanDecrypt(keys) {
+        return !!(keys.teamCurvePrivate && keys.teamEdPublic);
+    }
+
+    // Partial key sets are allowed, as long as they can encrypt or decrypt
     validateTeamKeys(keys) {
-        const requiredKeys = [
-            'teamCurvePublic', 'teamCurvePrivate',
-            'teamEdPublic', 'teamEdPrivate',
-            'myCurvePublic', 'myCurvePrivate'
-        ];
-
-        const missingKeys = requiredKeys.filter(key => !keys[key]);
-        if (missingKeys.length > 0) {
-            throw new Error(`Missing required team keys: ${missingKeys.join(', ')}`);
+        if (!this.teamCanEncrypt(keys) && !this.teamCanDecrypt(keys)) {
+            throw new MissingKeyError('Missing team keys: the key set can neither encrypt nor decrypt');
+        }
+
+        const Nacl = this.cryptoModule.Nacl;
+        const expectedLengths = {
+            teamCurvePublic: this.curve.publicKeyLength,
+            myCurvePublic: this.curve.publicKeyLength,
+            teamEdPublic: Nacl.sign.publicKeyLength,
+            teamEdPrivate: Nacl.sign.secretKeyLength
+        };
+
+        for (const [name, length] of Object.entries(expectedLengths)) {
+            if (!keys[name]) continue;
+            let decoded;
+            try {
+                decoded = Nacl.util.decodeBase64(keys[name]);
+            } catch (e) {
+                throw new ValidationError(`Invalid base64 encoding for key ${name}`, { cause: e });
+            }
+            if (decoded.length !== length) {
+                throw new ValidationError(`Invalid ${name} length: ${decoded.length}`);
+            }
         }
 
         return true;
     }
 }
 
-export function createElGamalProvider() {
-    return new ElGamalCryptoProvider();
+export function createElGamalProvider(options = {}) {
+    return new ElGamalCryptoProvider(options);
 }
@@ -3,6 +3,16 @@
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
 import { loadCryptoModule } from './cryptoLoader.js';
+import {
+    FILE_CHUNK_SIZE, MAX_FILE_CHUNK_SIZE, encodeUint32, decodeUint32, rechunk, encodeRecord, readRecords,
+    encodeChunkRecord, chunkNonce, chunkNoncePrefixLength, openChunks
+} from '../fileStream.js';
+import { KEY_TYPES, serializeKey, deserializeKey } from '../keySerialization.js';
+import {
+    DecryptionError, ValidationError, MissingKeyError, UnsupportedSchemeError, toCryptoError
+} from '../cryptoErrors.js';
+
+const totalLength = (layout) => Object.values(layout).reduce((sum, length) => sum + length, 0);
 
 export class NaclCryptoProvider {
     constructor() {
@@ -42,15 +52,15 @@ export class NaclCryptoProvider {
 
     validateCryptoModule() {
         if (!this.cryptoModule) {
-            throw new Error('Failed to load chainpad_crypto module');
+            throw new UnsupportedSchemeError('Failed to load chainpad_crypto module');
         }
 
         if (!this.cryptoModule.Nacl) {
-            throw new Error('Nacl implementation not found in crypto module');
+            throw new UnsupportedSchemeError('Nacl implementation not found in crypto module');
         }
 
         if (!this.cryptoModule.Mailbox) {
-            throw new Error('Mailbox implementation not found in crypto module');
+            throw new UnsupportedSchemeError('Mailbox implementation not found in crypto module');
         }
     }
 
@@ -132,13 +142,132 @@ export class NaclCryptoProvider {
         };
     }
 
+    // ========== Team Key Derivation Methods ==========
+
+    createTeamSeed() {
+        return this.cryptoModule.Team.createSeed();
+    }
+
+    deriveTeamMemberKeys(seed1, myKeys) {
+        return this.cryptoModule.Team.deriveMemberKeys(seed1, myKeys);
+    }
+
+    deriveTeamGuestKeys(seed2) {
+        return this.cryptoModule.Team.deriveGuestKeys(seed2);
+    }
+
+    // ========== Pad Key Derivation Methods ==========
+
+    createEditCryptor2(keyStr, seed, password) {
+        return this.cryptoModule.createEditCryptor2(keyStr, seed, password);
+    }
+
+    createViewCryptor2(viewKeyStr, password) {
+        return this.cryptoModule.createViewCryptor2(viewKeyStr, password);
+    }
+
+    createFileCryptor2(keyStr, password) {
+        return this.cryptoModule.createFileCryptor2(keyStr, password);
+    }
+
+    // ========== Channel Methods ==========
+
+    // Curve.deriveKeys needs no handshake, both sides derive the channel keys from the
+    // static exchange right away. Same interface as the KEM handshake of the PQC provider.
+    channelInitiate(myKeys, theirPublicKey) {
+        return {
+            handshake: null,
+            state: { keys: this.cryptoModule.Curve.deriveKeys(theirPublicKey, myKeys.curvePrivate) }
+        };
+    }
+
+    channelRespond(myKeys, theirPublicKey) {
+        return {
+            handshake: null,
+            keys: this.cryptoModule.Curve.deriveKeys(theirPublicKey, myKeys.curvePrivate)
+        };
+    }
+
+    channelFinish(state) {
+        return state.keys;
+    }
+
     // ========== Encryptor Creation Methods ==========
 
+    // Signatures that do not verify are reported as validation failures, like the other providers
+    _checkSignature(cipher, validateKey, message) {
+        const Nacl = this.cryptoModule.Nacl;
+        let opened;
+        try {
+            opened = Nacl.sign.open(Nacl.util.decodeBase64(cipher), Nacl.util.decodeBase64(validateKey));
+        } catch (error) {
+            throw new ValidationError(message, { cause: error });
+        }
+        if (!opened) {
+            throw new ValidationError(message);
+        }
+    }
+
+    // crypto.js returns nothing for messages that do not open, they are thrown as DecryptionErrors here
+    createPadEncryptor(keys) {
+        if (!keys?.cryptKey) {
+            throw new MissingKeyError('NO_DECRYPTION_KEY_PROVIDED');
+        }
+        const padEncryptor = this.cryptoModule.createEncryptor({
+            cryptKey: keys.cryptKey,
+            signKey: keys.signKey
+        });
+
+        const encryptor = {
+            decrypt: async (cipher, validateKey, skipCheck = false) => {
+                if (!validateKey && !skipCheck) {
+                    throw new MissingKeyError('UNSUPPORTED_DECRYPTION_CONFIGURATION');
+                }
+                // Checked once here, crypto.js would only return nothing for a bad signature
+                const checkSignature = !skipCheck && typeof validateKey === 'string';
+                if (checkSignature) {
+                    this._checkSignature(cipher, validateKey, 'Invalid signature');
+                }
+                let result;
+                try {
+                    result = padEncryptor.decrypt(cipher, validateKey, skipCheck || checkSignature);
+                } catch (error) {
+                    throw toCryptoError(error);
+                }
+                if (!result) {
+                    throw new DecryptionError('Invalid signature or ciphertext');
+                }
+                return result;
+            }
+        };
+
+        if (padEncryptor.encrypt) {
+            encryptor.encrypt = async (plain) => padEncryptor.encrypt(plain);
+        }
+
+        return encryptor;
+    }
+
+    createChannelEncryptor(keys) {
+        const channelEncryptor = this.cryptoModule.Curve.createEncryptor(keys);
+
+        return {
+            encrypt: async (plain) => channelEncryptor.encrypt(plain),
+            decrypt: async (cipher) => {
+                const result = channelEncryptor.decrypt(cipher);
+                if (!result) {
+                    throw new DecryptionError('Invalid channel ciphertext');
+                }
+                return result;
+            }
+        };
+    }
+
     async createMailboxEncryptor(keys) {
         await this.ensureInitialized();
 
         if (!this.cryptoModule || !this.cryptoModule.Mailbox) {
-            throw new Error('Crypto module or Mailbox not available');
+            throw new UnsupportedSchemeError('Crypto module or Mailbox not available');
         }
         
         try {
@@ -148,32 +277,44 @@ export class NaclCryptoProvider {
                 encrypt: async (plain, recipient) => {
                     try {
                         if (!mailboxEncryptor.encrypt) {
-                            throw new Error('Encryptor is missing encrypt method');
+                            throw new UnsupportedSchemeError('Encryptor is missing encrypt method');
+                        }
+                        const encrypted = mailboxEncryptor.encrypt(plain, recipient);
+                        if (!encrypted) {
+                            throw new ValidationError('Mailbox encryption returned null or undefined');
                         }
-                        return mailboxEncryptor.encrypt(plain, recipient);
+                        return encrypted;
                     } catch (err) {
                         console.error('[NaclProvider] Encryption failed:', err);
-                        throw err;
+                        throw toCryptoError(err, ValidationError);
                     }
                 },
                 decrypt: async (cipher, validateKey) => {
                     try {
                         if (!mailboxEncryptor.decrypt) {
-                            throw new Error('Encryptor is missing decrypt method');
+                            throw new UnsupportedSchemeError('Encryptor is missing decrypt method');
                         }
 
+                        // openSecretLetter in crypto.js strips the signature without checking it
                         const skipValidation = validateKey === undefined || validateKey === null;
+                        if (!skipValidation) {
+                            this._checkSignature(cipher, validateKey, 'Invalid signature');
+                        }
 
-                        return mailboxEncryptor.decrypt(cipher, validateKey, skipValidation);
+                        const result = mailboxEncryptor.decrypt(cipher, validateKey, skipValidation);
+                        if (!result) {
+                            throw new DecryptionError('Mailbox decryption returned null or undefined');
+                        }
+                        return result;
                     } catch (err) {
                         console.error('[NaclProvider] Decryption failed:', err);
-                        throw err;
+                        throw toCryptoError(err);
                     }
                 }
             };
         } catch (error) {
             console.error('[NaclProvider] Error creating mailbox encryptor:', error);
-            throw error;
+            throw toCryptoError(error, MissingKeyError);
         }
     }
 
@@ -181,7 +322,7 @@ export class NaclCryptoProvider {
         await this.ensureInitialized();
 
         if (!this.cryptoModule || !this.cryptoModule.Team) {
-            throw new Error('Crypto module or Team not available');
+            throw new UnsupportedSchemeError('Crypto module or Team not available');
         }
         
         try {
@@ -190,7 +331,7 @@ export class NaclCryptoProvider {
             const teamEncryptor = this.cryptoModule.Team.createEncryptor(formattedKeys);
 
             if (!teamEncryptor) {
-                throw new Error('Failed to create Team encryptor');
+                throw new MissingKeyError('Failed to create Team encryptor');
             }
 
             const canEncrypt = !!teamEncryptor.encrypt;
@@ -200,26 +341,26 @@ export class NaclCryptoProvider {
                 encrypt: async (plain) => {
                     try {
                         if (!teamEncryptor.encrypt) {
-                            throw new Error('Team Encryptor is missing encrypt method');
+                            throw new MissingKeyError('Missing team keys for encryption');
                         }
                         const encrypted = teamEncryptor.encrypt(plain);
                         if (!encrypted) {
-                            throw new Error('Team encryption returned null or undefined');
+                            throw new ValidationError('Team encryption returned null or undefined');
                         }
                         return encrypted;
                     } catch (err) {
                         console.error('[NaclProvider] Team encryption failed:', err);
-                        throw err;
+                        throw toCryptoError(err, ValidationError);
                     }
                 },
                 decrypt: async (cipher, skipValidation) => {
                     try {
                         if (!teamEncryptor.decrypt) {
-                            throw new Error('Team Encryptor is missing decrypt method');
+                            throw new MissingKeyError('Missing team keys for decryption');
                         }
 
                         if (!cipher) {
-                            throw new Error('Cannot decrypt empty or null cipher');
+                            throw new ValidationError('Cannot decrypt empty or null cipher');
                         }
 
                         try {
@@ -228,13 +369,18 @@ export class NaclCryptoProvider {
                             }
                         } catch (e) {
                             console.error('[NaclProvider] Invalid base64 in cipher:', e);
-                            throw new Error('Invalid base64 encoding in cipher');
+                            throw new ValidationError('Invalid base64 encoding in cipher');
                         }
 
-                        const result = teamEncryptor.decrypt(cipher, skipValidation === true);
+                        // Checked once here, crypto.js would only throw E_VALIDATION_FAILURE
+                        if (skipValidation !== true) {
+                            this._checkSignature(cipher, keys.teamEdPublic, 'Invalid team signature');
+                        }
+
+                        const result = teamEncryptor.decrypt(cipher, true);
 
                         if (!result) {
-                            throw new Error('Team decryption returned null or undefined');
+                            throw new DecryptionError('Team decryption returned null or undefined');
                         }
 
                         if (typeof result === 'object' && result.content) {
@@ -252,7 +398,7 @@ export class NaclCryptoProvider {
                         }
                     } catch (err) {
                         console.error('[NaclProvider] Team decryption failed:', err);
-                        throw err;
+                        throw toCryptoError(err);
                     }
                 },
                 can_encrypt: canEncrypt,
@@ -260,35 +406,156 @@ export class NaclCryptoProvider {
             };
         } catch (error) {
             console.error('[NaclProvider] Error creating team encryptor:', error);
-            throw error;
+            throw toCryptoError(error, MissingKeyError);
+        }
+    }
+
+    // ========== File Stream Methods ==========
+
+    /*  The secretbox path of CryptPad's file-crypto.js, in the records of fileStream.js
+
+    The file key is boxed once for the recipient under an ephemeral key pair:
+
+        header = ephemeral public key (32) || box nonce (24) || boxed file key (48)
+                 || chunk nonce prefix (19) || chunk size (4)
+    */
+    _fileHeaderLayout() {
+        const Nacl = this.cryptoModule.Nacl;
+        return {
+            publicKey: Nacl.box.publicKeyLength,
+            nonce: Nacl.box.nonceLength,
+            boxedKey: Nacl.secretbox.keyLength + Nacl.box.overheadLength,
+            noncePrefix: chunkNoncePrefixLength(Nacl.secretbox.nonceLength),
+            chunkSize: 4
+        };
+    }
+
+    async *encryptFileStream(source, recipientPublicKey, options = {}) {
+        await this.ensureInitialized();
+        const Nacl = this.cryptoModule.Nacl;
+        const chunkSize = options.chunkSize || FILE_CHUNK_SIZE;
+        if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > MAX_FILE_CHUNK_SIZE) {
+            throw new ValidationError(`Invalid file chunk size: ${chunkSize}`);
+        }
+
+        const fileKey = Nacl.randomBytes(Nacl.secretbox.keyLength);
+        const noncePrefix = Nacl.randomBytes(this._fileHeaderLayout().noncePrefix);
+        const ephemeral = Nacl.box.keyPair();
+        const boxNonce = Nacl.randomBytes(Nacl.box.nonceLength);
+        const boxedKey = Nacl.box(fileKey, boxNonce, Nacl.util.decodeBase64(recipientPublicKey), ephemeral.secretKey);
+
+        const header = new Uint8Array(totalLength(this._fileHeaderLayout()));
+        let offset = 0;
+        for (const part of [ephemeral.publicKey, boxNonce, boxedKey, noncePrefix, encodeUint32(chunkSize)]) {
+            header.set(part, offset);
+            offset += part.length;
+        }
+        yield encodeRecord(header);
+
+        let index = 0;
+        for await (const { chunk, last } of rechunk(source, chunkSize)) {
+            yield encodeChunkRecord(Nacl.secretbox(chunk, chunkNonce(noncePrefix, index, last), fileKey), last);
+            index++;
         }
     }
 
+    async *decryptFileStream(source, keys) {
+        await this.ensureInitialized();
+        const Nacl = this.cryptoModule.Nacl;
+        const layout = this._fileHeaderLayout();
+        const records = readRecords(source);
+
+        const header = await records.next();
+        if (header.done) {
+            throw new DecryptionError('Truncated file: missing header');
+        }
+        if (header.value.length !== totalLength(layout)) {
+            throw new ValidationError('Invalid file header');
+        }
+
+        let offset = 0;
+        const [ephemeralPublicKey, boxNonce, boxedKey, noncePrefix, chunkSizeBytes] = Object.values(layout).map(length => {
+            const part = header.value.subarray(offset, offset + length);
+            offset += length;
+            return part;
+        });
+
+        const fileKey = Nacl.box.open(boxedKey, boxNonce, ephemeralPublicKey, Nacl.util.decodeBase64(keys.curvePrivate));
+        if (!fileKey) {
+            throw new DecryptionError('Unable to open the file key');
+        }
+
+        yield* openChunks(
+            records,
+            (sealed, index, last) => {
+                const chunk = Nacl.secretbox.open(sealed, chunkNonce(noncePrefix, index, last), fileKey);
+                if (!chunk) {
+                    throw new DecryptionError('invalid secretbox');
+                }
+                return chunk;
+            },
+            decodeUint32(chunkSizeBytes) + Nacl.secretbox.overheadLength
+        );
+    }
+
+    // ========== Key Serialisation Methods ==========
+
+    // Box keys are X25519, signing secret keys keep the 64-byte tweetnacl layout (seed || public key)
+    _keyDescription(type) {
+        const Nacl = this.cryptoModule.Nacl;
+        const isKem = type === KEY_TYPES.KEM_PUBLIC || type === KEY_TYPES.KEM_SECRET;
+        const isPublic = type === KEY_TYPES.KEM_PUBLIC || type === KEY_TYPES.SIGN_PUBLIC;
+        const lengths = isKem ? Nacl.box : Nacl.sign;
+        return {
+            algorithm: isKem ? 'x25519' : 'ed25519',
+            length: isPublic ? lengths.publicKeyLength : lengths.secretKeyLength
+        };
+    }
+
+    exportKey(key, type) {
+        return serializeKey({
+            algorithm: this._keyDescription(type).algorithm,
+            type,
+            bytes: this.cryptoModule.Nacl.util.decodeBase64(key)
+        });
+    }
+
+    importKey(serialized, type) {
+        const { algorithm, length } = this._keyDescription(type);
+        const { bytes } = deserializeKey(serialized, { algorithm, type });
+        if (bytes.length !== length) {
+            throw new ValidationError(`Invalid ${algorithm} ${type} key length: ${bytes.length}`);
+        }
+        return this.cryptoModule.Nacl.util.encodeBase64(bytes);
+    }
+
     // ========== Key Validation Methods ==========
 
+    // Partial key sets are allowed, Team.createEncryptor decides what they can be used for
     validateTeamKeys(keys) {
-        const requiredKeys = [
+        const teamKeyNames = [
             'teamCurvePublic', 'teamCurvePrivate',
             'teamEdPublic', 'teamEdPrivate',
             'myCurvePublic', 'myCurvePrivate'
         ];
 
-        const missingKeys = requiredKeys.filter(key => !keys[key]);
-        if (missingKeys.length > 0) {
-            throw new Error(`Missing required team keys: ${missingKeys.join(', ')}`);
+        const providedKeys = teamKeyNames.filter(key => keys[key]);
+        if (providedKeys.length === 0) {
+            throw new MissingKeyError('Missing team keys');
         }
 
-        for (const key of requiredKeys) {
+        for (const key of providedKeys) {
+            let decoded;
             try {
-                const decoded = this.cryptoModule.Nacl.util.decodeBase64(keys[key]);
-                const keyType = key.includes('Ed') ? 'sign' : 'box';
-                const lengthType = key.includes('Public') ? 'publicKeyLength' : 'secretKeyLength';
-                
-                if (decoded.length !== this.cryptoModule.Nacl[keyType][lengthType]) {
-                    throw new Error(`Invalid ${key} length: ${decoded.length}`);
-                }
+                decoded = this.cryptoModule.Nacl.util.decodeBase64(keys[key]);
             } catch (e) {
-                throw new Error(`Invalid base64 encoding for key ${key}: ${e.message}`);
+                throw new ValidationError(`Invalid base64 encoding for key ${key}`, { cause: e });
+            }
+
+            const keyType = key.includes('Ed') ? 'sign' : 'box';
+            const lengthType = key.includes('Public') ? 'publicKeyLength' : 'secretKeyLength';
+            if (decoded.length !== this.cryptoModule.Nacl[keyType][lengthType]) {
+                throw new ValidationError(`Invalid ${key} length: ${decoded.length}`);
             }
         }
 
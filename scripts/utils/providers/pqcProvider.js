@@ -2,7 +2,111 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
-import { kemSchemes, signatureSchemes, symmetricCiphers } from '../schemes/cryptoSchemes.js';
+import { randomBytes } from '@noble/hashes/utils';
+import { kemSchemes, signatureSchemes, symmetricCiphers, keyDerivationFunctions } from '../schemes/cryptoSchemes.js';
+import {
+    FILE_CHUNK_SIZE, MAX_FILE_CHUNK_SIZE, encodeUint32, decodeUint32, rechunk, encodeRecord, readRecords,
+    encodeChunkRecord, chunkNonce, chunkNoncePrefixLength, openChunks
+} from '../fileStream.js';
+import { KEY_TYPES, serializeKey, deserializeKey } from '../keySerialization.js';
+import {
+    DecryptionError, ValidationError, MissingKeyError, UnsupportedVersionError, UnsupportedSchemeError, toCryptoError
+} from '../cryptoErrors.js';
+
+// Salted like Curve.deriveKeys in crypto.js, labels keep each use of a shared secret apart
+const KEY_DERIVATION_SALT = new TextEncoder().encode('CryptPad.PQC.keyDerivationSalt');
+const KEY_DERIVATION_INFO_PREFIX = 'CryptPad.PQC.v1.';
+
+export const KEY_DERIVATION_LABELS = {
+    MAILBOX: 'mailbox',
+    TEAM_INNER: 'team.inner',
+    TEAM_OUTER: 'team.outer',
+    TEAM_STRETCH: 'team.stretch',
+    TEAM_SIGNING: 'team.signing',
+    TEAM_AUTHOR: 'team.author',
+    TEAM_KEM: 'team.kem',
+    TEAM_CHANNEL: 'team.channel',
+    MAILBOX_SIGNATURE: 'mailbox.signature',
+    PAD_EDIT: 'pad.edit',
+    PAD_VIEW: 'pad.view',
+    PAD_FILE: 'pad.file',
+    PAD_SIGNING: 'pad.signing',
+    PAD_SECONDARY: 'pad.secondary',
+    CHANNEL: 'channel',
+    CHANNEL_SIGNING: 'channel.signing',
+    FILE_KEY: 'file.key',
+    ASSOCIATED_DATA: 'associated.data'
+};
+
+// What the sender signs in a mailbox message. Plaintext signatures can only be checked
+// after decryption, ciphertext signatures (as Nacl.sign around the sealed bundle in
+// crypto.js) can be checked by anyone knowing the recipient, before decrypting.
+export const MAILBOX_SIGNATURE_MODES = {
+    PLAINTEXT: 'plaintext',
+    CIPHERTEXT: 'ciphertext'
+};
+
+/*  Wire format
+
+Messages travel as a binary envelope, sent as base64 where a string is needed:
+
+    version (1) || type (1) || flags (1) || field count (1) || fields
+
+where every field is a 4-byte big-endian length followed by its bytes.
+
+    mailbox     KEM ciphertext, encrypted payload, signature, sender public key
+    team        KEM ciphertext, encrypted inner bundle, signature
+    team inner  author public key, KEM ciphertext, encrypted payload, author signature
+    pad         encrypted payload, signature
+    handshake   KEM ciphertext
+    file        KEM ciphertext, wrapped file key, chunk nonce prefix, chunk size
+
+Channel messages use the pad layout. The team signature covers the team envelope
+without its signature field, the author signature the team inner envelope without its own.
+
+Associated data given to the mailbox, team and pad encryptors (the header of a shared
+block) does not travel in the envelope. It is authenticated by the symmetric cipher and
+covered by the signature, so the recipient must give the same bytes to decrypt.
+*/
+export const WIRE_FORMAT_VERSION = 1;
+
+export const WIRE_MESSAGE_TYPES = {
+    MAILBOX: 1,
+    TEAM: 2,
+    TEAM_INNER: 3,
+    PAD: 4,
+    HANDSHAKE: 5,
+    FILE: 6
+};
+
+const WIRE_FIELD_COUNTS = {
+    [WIRE_MESSAGE_TYPES.MAILBOX]: 4,
+    [WIRE_MESSAGE_TYPES.TEAM]: 3,
+    [WIRE_MESSAGE_TYPES.TEAM_INNER]: 4,
+    [WIRE_MESSAGE_TYPES.PAD]: 2,
+    [WIRE_MESSAGE_TYPES.HANDSHAKE]: 1,
+    [WIRE_MESSAGE_TYPES.FILE]: 4
+};
+
+const MAILBOX_FLAGS = {
+    CIPHERTEXT_SIGNATURE: 0x01,
+    BINARY_DATA: 0x02
+};
+
+const WIRE_HEADER_LENGTH = 4;
+const WIRE_LENGTH_PREFIX = 4;
+
+// Team.createSeed uses 18 bytes, 32 keep a 128-bit margin against Grover's search
+const TEAM_SEED_LENGTH = 32;
+const TEAM_CHANNEL_LENGTH = 16;
+
+// Same margin for pad seeds, the channel ids keep the lengths used by crypto.js
+const PAD_SEED_LENGTH = 32;
+const PAD_CHANNEL_LENGTH = 16;
+const FILE_CHANNEL_LENGTH = 24;
+const PAD_KEY_LENGTH = 32;
+
+const BASE64_SLICE_LENGTH = 0x8000;
 
 export class PQCProvider {
     constructor(options = {}) {
@@ -11,10 +115,23 @@ export class PQCProvider {
         this.kemScheme = kemSchemes[options.kem || 'ml-kem-1024'];
         this.signatureScheme = signatureSchemes[options.signature || 'ml-dsa-87'];
         this.symmetricCipher = symmetricCiphers[options.symmetric || 'aes-gcm'];
-        
-        if (!this.kemScheme) throw new Error('Invalid KEM scheme specified');
-        if (!this.signatureScheme) throw new Error('Invalid signature scheme specified');
-        if (!this.symmetricCipher) throw new Error('Invalid symmetric cipher specified');
+        this.kdf = keyDerivationFunctions[options.kdf || 'hkdf-sha256'];
+        this.mailboxSignature = options.mailboxSignature || MAILBOX_SIGNATURE_MODES.PLAINTEXT;
+        this.supportsAssociatedData = true;
+        // verificationLatency: time from the start of a mailbox decryption until the signature is checked
+        this.timings = {
+            sign: 0, verify: 0, symmetricEncrypt: 0, symmetricDecrypt: 0, keyDerivation: 0, verificationLatency: 0
+        };
+        // Author signing key pairs by member KEM secret key, so they are not derived for every message
+        this.teamAuthorKeys = new WeakMap();
+
+        if (!this.kemScheme) throw new UnsupportedSchemeError('Invalid KEM scheme specified');
+        if (!this.signatureScheme) throw new UnsupportedSchemeError('Invalid signature scheme specified');
+        if (!this.symmetricCipher) throw new UnsupportedSchemeError('Invalid symmetric cipher specified');
+        if (!this.kdf) throw new UnsupportedSchemeError('Invalid key derivation function specified');
+        if (!Object.values(MAILBOX_SIGNATURE_MODES).includes(this.mailboxSignature)) {
+            throw new UnsupportedSchemeError('Invalid mailbox signature mode specified');
+        }
     }
 
     async init() {
@@ -33,14 +150,22 @@ export class PQCProvider {
         return new TextDecoder().decode(bytes);
     }
 
+    // String.fromCharCode.apply overflows the stack past a few hundred KB, so it is given slices
     encodeBase64(bytes) {
-        return btoa(String.fromCharCode.apply(null, bytes));
+        const parts = [];
+        for (let offset = 0; offset < bytes.length; offset += BASE64_SLICE_LENGTH) {
+            parts.push(String.fromCharCode.apply(null, bytes.subarray(offset, offset + BASE64_SLICE_LENGTH)));
+        }
+        return btoa(parts.join(''));
     }
 
     decodeBase64(str) {
-        return new Uint8Array(
-            atob(str).split('').map(c => c.charCodeAt(0))
-        );
+        const binary = atob(str);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
     }
 
     concatUint8Arrays(arrays) {
@@ -58,14 +183,28 @@ export class PQCProvider {
         return data instanceof Uint8Array ? data : new Uint8Array(data);
     }
 
+    // ========== Timing Methods ==========
+
+    _recordTiming(operation, startTime) {
+        this.timings[operation] = (this.timings[operation] || 0) + (performance.now() - startTime);
+    }
+
+    // Returns the time spent in an operation since the last call and resets it
+    consumeTiming(operation) {
+        const elapsed = this.timings[operation] || 0;
+        this.timings[operation] = 0;
+        return elapsed;
+    }
+
     // ========== Key Generation Methods ==========
 
-    generateKEMKeyPair() {
-        return this.kemScheme.keygen();
+    // Without a seed the key pair is random, with one it is derived deterministically
+    generateKEMKeyPair(seed) {
+        return this.kemScheme.keygen(seed);
     }
 
-    generateDSAKeyPair() {
-        return this.signatureScheme.keygen();
+    generateDSAKeyPair(seed) {
+        return this.signatureScheme.keygen(seed);
     }
 
     // ========== Key Encapsulation Methods ==========
@@ -81,40 +220,651 @@ export class PQCProvider {
         return this.kemScheme.decapsulate(ct, sk);
     }
 
+    // ========== Key Derivation Methods ==========
+
+    // context: { label, cipherText, recipientPublicKey }, binds the key to its use and to the encapsulation
+    deriveSymmetricKey(sharedSecret, context = {}) {
+        const startTime = performance.now();
+        const info = this.concatUint8Arrays([
+            this.textToBytes(KEY_DERIVATION_INFO_PREFIX + (context.label || 'generic')),
+            new Uint8Array([0]),
+            this._ensureUint8Array(context.cipherText || []),
+            this._ensureUint8Array(context.recipientPublicKey || [])
+        ]);
+        const key = this.kdf.derive(this._ensureUint8Array(sharedSecret), KEY_DERIVATION_SALT, info, 32);
+        this._recordTiming('keyDerivation', startTime);
+        return key;
+    }
+
+    // Expands a seed into labelled key material, the seed-based counterpart of deriveSymmetricKey
+    expandSeed(seed, label, length) {
+        const info = this.textToBytes(KEY_DERIVATION_INFO_PREFIX + label);
+        return this.kdf.derive(this._ensureUint8Array(seed), KEY_DERIVATION_SALT, info, length);
+    }
+
+    // ========== Team Key Derivation Methods ==========
+
+    /*  Mirrors Team.createSeed, Team.deriveMemberKeys and Team.deriveGuestKeys from crypto.js
+
+    The member seed is stretched into a signing seed and a guest seed (seed2). The
+    signing seed gives the team signing key pair, only handed to members. The guest
+    seed gives the team KEM key pair and the channel id, enough to read the team's
+    messages, and is what a view-only guest receives as viewKeyStr.
+    */
+
+    createTeamSeed() {
+        return this.encodeBase64(randomBytes(TEAM_SEED_LENGTH));
+    }
+
+    deriveTeamGuestKeys(seed2) {
+        const u8_seed2 = typeof seed2 === 'string' ? this.decodeBase64(seed2) : seed2;
+
+        const teamKem = this.generateKEMKeyPair(
+            this.expandSeed(u8_seed2, KEY_DERIVATION_LABELS.TEAM_KEM, this.kemScheme.sizes.seed)
+        );
+        const channel = this.expandSeed(u8_seed2, KEY_DERIVATION_LABELS.TEAM_CHANNEL, TEAM_CHANNEL_LENGTH);
+
+        return {
+            channel: Array.from(channel, byte => byte.toString(16).padStart(2, '0')).join(''),
+            teamCurvePublic: teamKem.publicKey,
+            teamCurvePrivate: teamKem.secretKey,
+            viewKeyStr: this.encodeBase64(u8_seed2)
+        };
+    }
+
+    // myKeys: { curvePublic, curvePrivate }, the member's own KEM key pair
+    deriveTeamMemberKeys(seed1, myKeys) {
+        const u8_seed1 = typeof seed1 === 'string' ? this.decodeBase64(seed1) : seed1;
+        if (!u8_seed1 || u8_seed1.length < TEAM_SEED_LENGTH) {
+            throw new ValidationError('INVALID_SEED');
+        }
+        if (!this.validateOwnKeys(myKeys)) {
+            throw new ValidationError('INVALID_OWN_KEYS');
+        }
+
+        const stretched = this.expandSeed(u8_seed1, KEY_DERIVATION_LABELS.TEAM_STRETCH, 2 * TEAM_SEED_LENGTH);
+        const signingSeed = stretched.subarray(0, TEAM_SEED_LENGTH);
+        const seed2 = stretched.slice(TEAM_SEED_LENGTH);
+
+        const teamSigning = this.generateDSAKeyPair(
+            this.expandSeed(signingSeed, KEY_DERIVATION_LABELS.TEAM_SIGNING, this.signatureScheme.sizes.seed)
+        );
+
+        return {
+            myCurvePublic: myKeys.curvePublic,
+            myCurvePrivate: myKeys.curvePrivate,
+            teamEdPrivate: teamSigning.secretKey,
+            teamEdPublic: teamSigning.publicKey,
+            ...this.deriveTeamGuestKeys(seed2)
+        };
+    }
+
+    // The member's author key pair, derived from its KEM secret key. A KEM secret key cannot
+    // authenticate a message, so the author signs with it, and its public key is the author
+    // reported to the team as myCurvePublic is by crypto.js
+    deriveTeamAuthorKeys(myCurvePrivate) {
+        const secretKey = this._ensureUint8Array(myCurvePrivate);
+        let authorKeys = this.teamAuthorKeys.get(secretKey);
+        if (!authorKeys) {
+            authorKeys = this.generateDSAKeyPair(
+                this.expandSeed(secretKey, KEY_DERIVATION_LABELS.TEAM_AUTHOR, this.signatureScheme.sizes.seed)
+            );
+            this.teamAuthorKeys.set(secretKey, authorKeys);
+        }
+        return authorKeys;
+    }
+
+    validateOwnKeys(keys) {
+        return Boolean(
+            keys?.curvePublic && this._ensureUint8Array(keys.curvePublic).length === this.kemScheme.sizes.publicKey &&
+            keys?.curvePrivate && this._ensureUint8Array(keys.curvePrivate).length === this.kemScheme.sizes.secretKey
+        );
+    }
+
+    // ========== Pad Key Derivation Methods ==========
+
+    /*  Mirrors createEditCryptor2, createViewCryptor2 and createFileCryptor2 from crypto.js
+
+    The seed hierarchy is the same, with SHA-512 splits replaced by labelled expansions:
+
+        edit seed (+ password) -> signing seed, view seed
+        signing seed           -> ML-DSA key pair, secondary key
+        view seed (+ password) -> channel id, symmetric key, secondary signing seed
+        file seed (+ password) -> channel id, symmetric key
+
+    Key strings use the URL-safe base64 of b64Encode in crypto.js. Signing keys are
+    Uint8Arrays, as everywhere else in this provider.
+    */
+
+    _b64Encode(bytes) {
+        return this.encodeBase64(bytes).replace(/\//g, '-').replace(/=+$/g, '');
+    }
+
+    _b64Decode(str) {
+        return this.decodeBase64(str.replace(/\-/g, '/'));
+    }
+
+    // Key strings from a pad link are checked here, so a malformed link fails as such
+    _padSeedFromKeyStr(keyStr) {
+        let seed;
+        try {
+            seed = this._b64Decode(keyStr);
+        } catch (error) {
+            throw new ValidationError('invalid key string supplied', { cause: error });
+        }
+        if (seed.length !== PAD_SEED_LENGTH) {
+            throw new ValidationError(`expected supplied key string to have length of ${PAD_SEED_LENGTH}`);
+        }
+        return seed;
+    }
+
+    // The password is prepended to the seed, as in crypto.js
+    _padSuperSeed(seed, password) {
+        if (!password) return seed;
+        return this.concatUint8Arrays([this.textToBytes(password), seed]);
+    }
+
+    createViewCryptor2(viewKeyStr, password) {
+        try {
+            if (!viewKeyStr) {
+                throw new MissingKeyError('Cannot open a new pad in read-only mode!');
+            }
+            const superSeed = this._padSuperSeed(this._padSeedFromKeyStr(viewKeyStr), password);
+            const hash = this.expandSeed(
+                superSeed,
+                KEY_DERIVATION_LABELS.PAD_VIEW,
+                PAD_CHANNEL_LENGTH + PAD_KEY_LENGTH + PAD_SEED_LENGTH
+            );
+            const chanId = hash.subarray(0, PAD_CHANNEL_LENGTH);
+            const cryptKey = hash.slice(PAD_CHANNEL_LENGTH, PAD_CHANNEL_LENGTH + PAD_KEY_LENGTH);
+
+            // Lets viewers sign on a secondary channel, as forms participants do
+            const signKp2 = this.generateDSAKeyPair(this.expandSeed(
+                hash.subarray(PAD_CHANNEL_LENGTH + PAD_KEY_LENGTH),
+                KEY_DERIVATION_LABELS.PAD_SIGNING,
+                this.signatureScheme.sizes.seed
+            ));
+
+            return {
+                viewKeyStr,
+                cryptKey,
+                chanId: this._b64Encode(chanId),
+                secondarySignKey: signKp2.secretKey,
+                secondaryValidateKey: signKp2.publicKey
+            };
+        } catch (error) {
+            console.error('[PQC] createViewCryptor2: invalid string supplied');
+            throw toCryptoError(error, ValidationError);
+        }
+    }
+
+    createEditCryptor2(keyStr, seed, password) {
+        try {
+            if (!keyStr) {
+                if (seed && seed.length !== PAD_SEED_LENGTH) {
+                    throw new ValidationError(`expected supplied seed to have length of ${PAD_SEED_LENGTH}`);
+                } else if (!seed) {
+                    seed = randomBytes(PAD_SEED_LENGTH);
+                }
+                keyStr = this._b64Encode(seed);
+            }
+            if (!seed) {
+                seed = this._padSeedFromKeyStr(keyStr);
+            }
+
+            const hash = this.expandSeed(
+                this._padSuperSeed(seed, password),
+                KEY_DERIVATION_LABELS.PAD_EDIT,
+                2 * PAD_SEED_LENGTH
+            );
+            const signKp = this.generateDSAKeyPair(this.expandSeed(
+                hash.subarray(0, PAD_SEED_LENGTH),
+                KEY_DERIVATION_LABELS.PAD_SIGNING,
+                this.signatureScheme.sizes.seed
+            ));
+            // Derived from the signing secret key, so it can be delegated without the editing secrets
+            const secondary = this.expandSeed(signKp.secretKey, KEY_DERIVATION_LABELS.PAD_SECONDARY, PAD_KEY_LENGTH);
+
+            const viewKeyStr = this._b64Encode(hash.subarray(PAD_SEED_LENGTH));
+            const viewCryptor = this.createViewCryptor2(viewKeyStr, password);
+
+            return {
+                editKeyStr: keyStr,
+                viewKeyStr,
+                signKey: signKp.secretKey,
+                validateKey: signKp.publicKey,
+                cryptKey: viewCryptor.cryptKey,
+                secondaryKey: this.encodeBase64(secondary),
+                chanId: viewCryptor.chanId,
+                secondarySignKey: viewCryptor.secondarySignKey,
+                secondaryValidateKey: viewCryptor.secondaryValidateKey
+            };
+        } catch (error) {
+            console.error('[PQC] createEditCryptor2: invalid string supplied');
+            throw toCryptoError(error, ValidationError);
+        }
+    }
+
+    createFileCryptor2(keyStr, password) {
+        try {
+            let seed;
+            if (!keyStr) {
+                seed = randomBytes(PAD_SEED_LENGTH);
+                keyStr = this._b64Encode(seed);
+            }
+            if (!seed) {
+                seed = this._padSeedFromKeyStr(keyStr);
+            }
+
+            const hash = this.expandSeed(
+                this._padSuperSeed(seed, password),
+                KEY_DERIVATION_LABELS.PAD_FILE,
+                FILE_CHANNEL_LENGTH + PAD_KEY_LENGTH
+            );
+
+            return {
+                fileKeyStr: keyStr,
+                cryptKey: hash.slice(FILE_CHANNEL_LENGTH),
+                chanId: this._b64Encode(hash.subarray(0, FILE_CHANNEL_LENGTH))
+            };
+        } catch (error) {
+            console.error('[PQC] createFileCryptor2: invalid string supplied');
+            throw toCryptoError(error, ValidationError);
+        }
+    }
+
+    // ========== Channel Methods ==========
+
+    /*  Counterpart of Curve.deriveKeys from crypto.js, for one-to-one chats
+
+    Curve derives the channel keys from a static X25519 exchange and needs no message.
+    A KEM has no static exchange, so the channel takes one round trip instead: the
+    initiator encapsulates to the responder's public key, the responder encapsulates
+    back to the initiator's, and each side decapsulates what it receives. Only the two
+    key owners can recover both shared secrets, which gives the same implicit mutual
+    authentication as the static exchange, and both secrets, ciphertexts and public
+    keys go through the KDF, binding the keys to the whole handshake.
+
+    channelInitiate  -> handshake sent to the peer, state kept until the answer
+    channelRespond   -> handshake sent back, channel keys
+    channelFinish    -> channel keys
+    */
+    channelInitiate(myKeys, theirPublicKey) {
+        const { cipherText, sharedSecret } = this.encapsulateSecret(theirPublicKey);
+        return {
+            handshake: this.encodeBase64(this.encodeHandshakeMessage(cipherText)),
+            state: {
+                initiatorSecret: sharedSecret,
+                initiatorCipherText: cipherText,
+                responderPublicKey: this._ensureUint8Array(theirPublicKey)
+            }
+        };
+    }
+
+    channelRespond(myKeys, theirPublicKey, handshake) {
+        const initiatorCipherText = this.decodeHandshakeMessage(handshake);
+        const initiatorSecret = this.decapsulateSecret(initiatorCipherText, myKeys.curvePrivate);
+        const { cipherText, sharedSecret } = this.encapsulateSecret(theirPublicKey);
+
+        return {
+            handshake: this.encodeBase64(this.encodeHandshakeMessage(cipherText)),
+            keys: this.deriveChannelKeys({
+                initiatorSecret,
+                responderSecret: sharedSecret,
+                initiatorCipherText,
+                responderCipherText: cipherText,
+                initiatorPublicKey: theirPublicKey,
+                responderPublicKey: myKeys.curvePublic
+            })
+        };
+    }
+
+    channelFinish(state, myKeys, handshake) {
+        const responderCipherText = this.decodeHandshakeMessage(handshake);
+        return this.deriveChannelKeys({
+            ...state,
+            responderSecret: this.decapsulateSecret(responderCipherText, myKeys.curvePrivate),
+            responderCipherText,
+            initiatorPublicKey: myKeys.curvePublic
+        });
+    }
+
+    // Same split as Curve.deriveKeys: the first half seeds the signing key pair, the second is cryptKey
+    deriveChannelKeys(transcript) {
+        const startTime = performance.now();
+        const info = this.concatUint8Arrays([
+            this.textToBytes(KEY_DERIVATION_INFO_PREFIX + KEY_DERIVATION_LABELS.CHANNEL),
+            new Uint8Array([0]),
+            this._ensureUint8Array(transcript.initiatorPublicKey),
+            this._ensureUint8Array(transcript.responderPublicKey),
+            this._ensureUint8Array(transcript.initiatorCipherText),
+            this._ensureUint8Array(transcript.responderCipherText)
+        ]);
+        const secret = this.concatUint8Arrays([
+            this._ensureUint8Array(transcript.initiatorSecret),
+            this._ensureUint8Array(transcript.responderSecret)
+        ]);
+        const hash = this.kdf.derive(secret, KEY_DERIVATION_SALT, info, PAD_SEED_LENGTH + PAD_KEY_LENGTH);
+        const signKp = this.generateDSAKeyPair(
+            this.expandSeed(
+                hash.subarray(0, PAD_SEED_LENGTH),
+                KEY_DERIVATION_LABELS.CHANNEL_SIGNING,
+                this.signatureScheme.sizes.seed
+            )
+        );
+        this._recordTiming('keyDerivation', startTime);
+
+        return {
+            cryptKey: hash.slice(PAD_SEED_LENGTH),
+            signKey: signKp.secretKey,
+            validateKey: signKp.publicKey
+        };
+    }
+
+    // ========== File Stream Methods ==========
+
+    /*  Streaming file encryption, see fileStream.js for the records and chunk nonces
+
+    A random file key seals the chunks and is wrapped once for the recipient, under a key
+    derived from a KEM encapsulation as for mailbox messages. The header record is a file
+    envelope. Both methods return async iterators of byte chunks and read any source
+    accepted by iterateSource, so a multi-megabyte upload is never held in memory whole.
+    */
+    _fileCipher() {
+        if (typeof this.symmetricCipher.seal !== 'function' || typeof this.symmetricCipher.open !== 'function') {
+            throw new UnsupportedSchemeError(`${this.symmetricCipher.name} does not support file streams`);
+        }
+        return this.symmetricCipher;
+    }
+
+    async *encryptFileStream(source, recipientPublicKey, options = {}) {
+        const cipher = this._fileCipher();
+        const chunkSize = options.chunkSize || FILE_CHUNK_SIZE;
+        if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > MAX_FILE_CHUNK_SIZE) {
+            throw new ValidationError(`Invalid file chunk size: ${chunkSize}`);
+        }
+
+        const fileKey = randomBytes(cipher.sizes.key);
+        const noncePrefix = randomBytes(chunkNoncePrefixLength(cipher.sizes.nonce));
+        const { cipherText, sharedSecret } = this.encapsulateSecret(recipientPublicKey);
+        const wrappedKey = this.encryptBytes(fileKey, sharedSecret, {
+            label: KEY_DERIVATION_LABELS.FILE_KEY,
+            cipherText,
+            recipientPublicKey
+        });
+
+        yield encodeRecord(this.encodeEnvelope(WIRE_MESSAGE_TYPES.FILE, [
+            cipherText, wrappedKey, noncePrefix, encodeUint32(chunkSize)
+        ]));
+
+        let index = 0;
+        for await (const { chunk, last } of rechunk(source, chunkSize)) {
+            yield encodeChunkRecord(cipher.seal(chunk, fileKey, chunkNonce(noncePrefix, index, last)), last);
+            index++;
+        }
+    }
+
+    async *decryptFileStream(source, keys) {
+        const cipher = this._fileCipher();
+        const records = readRecords(source);
+
+        const header = await records.next();
+        if (header.done) {
+            throw new DecryptionError('Truncated file: missing header');
+        }
+        const [cipherText, wrappedKey, noncePrefix, chunkSizeBytes] =
+            this.decodeEnvelope(header.value, WIRE_MESSAGE_TYPES.FILE).fields;
+        if (noncePrefix.length !== chunkNoncePrefixLength(cipher.sizes.nonce) || chunkSizeBytes.length !== 4) {
+            throw new ValidationError('Invalid file header');
+        }
+
+        const sharedSecret = this.decapsulateSecret(cipherText, keys.curvePrivate);
+        const fileKey = this.decryptBytes(wrappedKey, sharedSecret, {
+            label: KEY_DERIVATION_LABELS.FILE_KEY,
+            cipherText,
+            recipientPublicKey: keys.curvePublic
+        });
+
+        yield* openChunks(
+            records,
+            (sealed, index, last) => cipher.open(sealed, fileKey, chunkNonce(noncePrefix, index, last)),
+            decodeUint32(chunkSizeBytes) + cipher.sizes.tag
+        );
+    }
+
     // ========== Symmetric Encryption Methods ==========
 
-    encryptData(data, sharedSecret) {
+    encryptBytes(data, sharedSecret, context = {}) {
         const dataBytes = data instanceof Uint8Array ? data : this.textToBytes(data);
-        const key = sharedSecret.slice(0, 32);
-        const encrypted = this.symmetricCipher.encrypt(dataBytes, key);
-        return this.encodeBase64(encrypted);
+        const key = this.deriveSymmetricKey(sharedSecret, context);
+        const startTime = performance.now();
+        const encrypted = this.symmetricCipher.encrypt(dataBytes, key, context.associatedData);
+        this._recordTiming('symmetricEncrypt', startTime);
+        return encrypted;
     }
 
-    decryptData(encryptedData, sharedSecret) {
+    decryptBytes(encryptedData, sharedSecret, context = {}) {
         try {
-            const encryptedBytes = this.decodeBase64(encryptedData);
-            const key = sharedSecret.slice(0, 32);
-            const decryptedBytes = this.symmetricCipher.decrypt(encryptedBytes, key);
-            return this.bytesToText(decryptedBytes);
+            const encryptedBytes = typeof encryptedData === 'string'
+                ? this.decodeBase64(encryptedData)
+                : this._ensureUint8Array(encryptedData);
+            const key = this.deriveSymmetricKey(sharedSecret, context);
+            const startTime = performance.now();
+            const decryptedBytes = this.symmetricCipher.decrypt(encryptedBytes, key, context.associatedData);
+            this._recordTiming('symmetricDecrypt', startTime);
+            return decryptedBytes;
         } catch (error) {
             console.error(`[PQC] ${this.symmetricCipher.name} Decryption error:`, error);
-            throw new Error(`${this.symmetricCipher.name} Decryption failed: ${error.message}`);
+            throw new DecryptionError(`${this.symmetricCipher.name} decryption failed`, { cause: error });
         }
     }
 
+    encryptData(data, sharedSecret, context = {}) {
+        return this.encodeBase64(this.encryptBytes(data, sharedSecret, context));
+    }
+
+    decryptData(encryptedData, sharedSecret, context = {}) {
+        return this.bytesToText(this.decryptBytes(encryptedData, sharedSecret, context));
+    }
+
     // ========== Digital Signature Methods ==========
 
     signData(data, secretKey) {
+        const startTime = performance.now();
         const sk = this._ensureUint8Array(secretKey);
         const dataBytes = data instanceof Uint8Array ? data : this.textToBytes(data);
-        return this.signatureScheme.sign(sk, dataBytes);
+        const signature = this.signatureScheme.sign(sk, dataBytes);
+        this._recordTiming('sign', startTime);
+        return signature;
     }
 
     verifySignature(signature, data, publicKey) {
+        const startTime = performance.now();
         const pubKey = this._ensureUint8Array(publicKey);
         const dataBytes = data instanceof Uint8Array ? data : this.textToBytes(data);
         const sig = this._ensureUint8Array(signature);
-        return this.signatureScheme.verify(pubKey, dataBytes, sig);
+        const isValid = this.signatureScheme.verify(pubKey, dataBytes, sig);
+        this._recordTiming('verify', startTime);
+        return isValid;
+    }
+
+    // label || 0x00 || length (4) || associated data || signed bytes, messages without
+    // associated data are signed as they are
+    _signedWithAssociatedData(signedBytes, associatedData) {
+        if (!associatedData?.length) return signedBytes;
+        return this.concatUint8Arrays([
+            this.textToBytes(KEY_DERIVATION_INFO_PREFIX + KEY_DERIVATION_LABELS.ASSOCIATED_DATA),
+            new Uint8Array([0]),
+            encodeUint32(associatedData.length),
+            this._ensureUint8Array(associatedData),
+            signedBytes
+        ]);
+    }
+
+    // ========== Wire Format Methods ==========
+
+    encodeEnvelope(type, fields, flags = 0) {
+        const parts = [new Uint8Array([WIRE_FORMAT_VERSION, type, flags, fields.length])];
+        for (const field of fields) {
+            const bytes = this._ensureUint8Array(field || []);
+            const length = new Uint8Array(WIRE_LENGTH_PREFIX);
+            new DataView(length.buffer).setUint32(0, bytes.length);
+            parts.push(length, bytes);
+        }
+        return this.concatUint8Arrays(parts);
+    }
+
+    decodeEnvelope(envelope, expectedType) {
+        const bytes = typeof envelope === 'string' ? this.decodeBase64(envelope) : this._ensureUint8Array(envelope);
+        if (bytes.length < WIRE_HEADER_LENGTH) {
+            throw new ValidationError('Truncated envelope header');
+        }
+
+        const [version, type, flags, fieldCount] = bytes;
+        if (version !== WIRE_FORMAT_VERSION) {
+            throw new UnsupportedVersionError(`Unsupported wire format version: ${version}`);
+        }
+        if (type !== expectedType) {
+            throw new ValidationError(`Unexpected message type: ${type}`);
+        }
+        if (fieldCount !== WIRE_FIELD_COUNTS[type]) {
+            throw new ValidationError(`Invalid field count for message type ${type}: ${fieldCount}`);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const fields = [];
+        let offset = WIRE_HEADER_LENGTH;
+        for (let i = 0; i < fieldCount; i++) {
+            if (offset + WIRE_LENGTH_PREFIX > bytes.length) {
+                throw new ValidationError('Truncated envelope field length');
+            }
+            const length = view.getUint32(offset);
+            offset += WIRE_LENGTH_PREFIX;
+            if (offset + length > bytes.length) {
+                throw new ValidationError('Truncated envelope field');
+            }
+            fields.push(bytes.subarray(offset, offset + length));
+            offset += length;
+        }
+        if (offset !== bytes.length) {
+            throw new ValidationError('Trailing bytes after envelope');
+        }
+
+        return { version, type, flags, fields, size: bytes.length };
+    }
+
+    encodeMailboxMessage(message) {
+        const flags =
+            (message.signatureMode === MAILBOX_SIGNATURE_MODES.CIPHERTEXT ? MAILBOX_FLAGS.CIPHERTEXT_SIGNATURE : 0) |
+            (message.dataType === 'binary' ? MAILBOX_FLAGS.BINARY_DATA : 0);
+
+        return this.encodeEnvelope(WIRE_MESSAGE_TYPES.MAILBOX, [
+            message.ciphertext,
+            message.encryptedData,
+            message.signature,
+            message.senderPublicKey
+        ], flags);
+    }
+
+    decodeMailboxMessage(envelope) {
+        const { flags, fields } = this.decodeEnvelope(envelope, WIRE_MESSAGE_TYPES.MAILBOX);
+        const [ciphertext, encryptedData, signature, senderPublicKey] = fields;
+
+        return {
+            ciphertext,
+            encryptedData,
+            signature,
+            senderPublicKey,
+            signatureMode: flags & MAILBOX_FLAGS.CIPHERTEXT_SIGNATURE
+                ? MAILBOX_SIGNATURE_MODES.CIPHERTEXT
+                : MAILBOX_SIGNATURE_MODES.PLAINTEXT,
+            dataType: flags & MAILBOX_FLAGS.BINARY_DATA ? 'binary' : 'string'
+        };
+    }
+
+    // The signed part of a team message is its envelope without the signature
+    encodeTeamMessage(message) {
+        return this.encodeEnvelope(WIRE_MESSAGE_TYPES.TEAM, [
+            message.ciphertext,
+            message.encryptedData,
+            message.signature
+        ]);
+    }
+
+    decodeTeamMessage(envelope) {
+        const { fields } = this.decodeEnvelope(envelope, WIRE_MESSAGE_TYPES.TEAM);
+        const [ciphertext, encryptedData, signature] = fields;
+        return { ciphertext, encryptedData, signature };
+    }
+
+    _teamSignedBytes(message, associatedData) {
+        return this._signedWithAssociatedData(
+            this.encodeTeamMessage({ ...message, signature: new Uint8Array(0) }),
+            associatedData
+        );
+    }
+
+    encodeTeamInnerBundle(bundle) {
+        return this.encodeEnvelope(WIRE_MESSAGE_TYPES.TEAM_INNER, [
+            bundle.authorPublicKey,
+            bundle.ciphertext,
+            bundle.encryptedData,
+            bundle.signature
+        ]);
+    }
+
+    decodeTeamInnerBundle(envelope) {
+        const { fields } = this.decodeEnvelope(envelope, WIRE_MESSAGE_TYPES.TEAM_INNER);
+        const [authorPublicKey, ciphertext, encryptedData, signature] = fields;
+        return { authorPublicKey, ciphertext, encryptedData, signature };
+    }
+
+    _teamInnerSignedBytes(bundle, associatedData) {
+        return this._signedWithAssociatedData(
+            this.encodeTeamInnerBundle({ ...bundle, signature: new Uint8Array(0) }),
+            associatedData
+        );
+    }
+
+    encodePadMessage(message) {
+        return this.encodeEnvelope(WIRE_MESSAGE_TYPES.PAD, [message.encryptedData, message.signature]);
+    }
+
+    decodePadMessage(envelope) {
+        const { fields } = this.decodeEnvelope(envelope, WIRE_MESSAGE_TYPES.PAD);
+        const [encryptedData, signature] = fields;
+        return { encryptedData, signature };
+    }
+
+    encodeHandshakeMessage(cipherText) {
+        return this.encodeEnvelope(WIRE_MESSAGE_TYPES.HANDSHAKE, [cipherText]);
+    }
+
+    decodeHandshakeMessage(envelope) {
+        const { fields } = this.decodeEnvelope(envelope, WIRE_MESSAGE_TYPES.HANDSHAKE);
+        return fields[0];
+    }
+
+    // Sizes of a message in its binary form, whatever form it is given in
+    measureMessage(message) {
+        const bytes = typeof message === 'string' ? this.decodeBase64(message) : this._ensureUint8Array(message);
+        const type = bytes[1];
+        const { fields, size } = this.decodeEnvelope(bytes, type);
+
+        // Pad messages have no KEM ciphertext, only the payload and its signature
+        if (type === WIRE_MESSAGE_TYPES.PAD) {
+            return { encryptedSize: fields[0].length, signatureSize: fields[1].length, wireSize: size };
+        }
+        if (type === WIRE_MESSAGE_TYPES.HANDSHAKE) {
+            return { encryptedSize: fields[0].length, signatureSize: 0, wireSize: size };
+        }
+
+        const signature = fields[2];
+        return {
+            encryptedSize: fields[0].length + fields[1].length,
+            signatureSize: signature.length,
+            wireSize: size
+        };
     }
 
     // ========== Encryptor Creation Methods ==========
@@ -123,77 +873,204 @@ export class PQCProvider {
         const provider = this;
 
         return {
-            encrypt: async function(data, recipientPublicKey) {
+            encrypt: async function(data, recipientPublicKey, associatedData = null) {
                 const { cipherText, sharedSecret } = await provider.encapsulateSecret(recipientPublicKey);
 
-                const dataToEncrypt = typeof data === 'string' ? data : provider.bytesToText(data);
-                const encryptedData = provider.encryptData(dataToEncrypt, sharedSecret);
+                // Binary payloads are encrypted as they are, strings as UTF-8
+                const dataBytes = typeof data === 'string' ? provider.textToBytes(data) : provider._ensureUint8Array(data);
+                const encryptedData = provider.encryptBytes(dataBytes, sharedSecret, {
+                    label: KEY_DERIVATION_LABELS.MAILBOX,
+                    cipherText,
+                    recipientPublicKey,
+                    associatedData
+                });
 
-                const signature = await provider.signData(
-                    typeof data === 'string' ? provider.textToBytes(data) : data,
-                    keys.signingKey
-                );
+                const signedData = provider.mailboxSignature === MAILBOX_SIGNATURE_MODES.CIPHERTEXT
+                    ? provider._mailboxSignedBytes(cipherText, encryptedData, recipientPublicKey, associatedData)
+                    : provider._signedWithAssociatedData(dataBytes, associatedData);
+                const signature = await provider.signData(signedData, keys.signingKey);
 
-                return {
+                return provider.encodeBase64(provider.encodeMailboxMessage({
                     encryptedData,
                     ciphertext: cipherText,
                     signature,
+                    signatureMode: provider.mailboxSignature,
                     senderPublicKey: keys.curvePublic,
                     dataType: typeof data === 'string' ? 'string' : 'binary'
-                };
+                }));
             },
 
-            decrypt: async function(message, senderPublicKey) {
-                const { encryptedData, ciphertext, signature, dataType } = message;
+            decrypt: async function(envelope, senderPublicKey, associatedData = null) {
+                const startTime = performance.now();
 
                 try {
+                    const message = provider.decodeMailboxMessage(envelope);
+                    const { encryptedData, ciphertext, signature, dataType } = message;
+                    const signedCiphertext = message.signatureMode === MAILBOX_SIGNATURE_MODES.CIPHERTEXT;
+
+                    // Forged or altered messages are rejected before any decapsulation
+                    if (signedCiphertext) {
+                        if (!provider.verifyMailboxMessage(message, senderPublicKey, keys.curvePublic, associatedData)) {
+                            throw new ValidationError('Invalid signature');
+                        }
+                        provider._recordTiming('verificationLatency', startTime);
+                    }
+
                     const sharedSecret = await provider.decapsulateSecret(ciphertext, keys.curvePrivate);
 
-                    const decryptedText = provider.decryptData(encryptedData, sharedSecret);
+                    const decryptedBytes = provider.decryptBytes(encryptedData, sharedSecret, {
+                        label: KEY_DERIVATION_LABELS.MAILBOX,
+                        cipherText: ciphertext,
+                        recipientPublicKey: keys.curvePublic,
+                        associatedData
+                    });
 
+                    // Messages flagged as binary are returned as bytes
                     const decryptedData = dataType === 'string' ?
-                        decryptedText : provider.textToBytes(decryptedText);
+                        provider.bytesToText(decryptedBytes) : decryptedBytes;
 
-                    const dataForVerification = dataType === 'string' ?
-                        provider.textToBytes(decryptedText) : decryptedData;
-                    const isValid = await provider.verifySignature(signature, dataForVerification, senderPublicKey);
+                    if (!signedCiphertext) {
+                        const isValid = await provider.verifySignature(
+                            signature,
+                            provider._signedWithAssociatedData(decryptedBytes, associatedData),
+                            senderPublicKey
+                        );
 
-                    if (!isValid) {
-                        throw new Error('Invalid signature');
+                        if (!isValid) {
+                            throw new ValidationError('Invalid signature');
+                        }
+                        provider._recordTiming('verificationLatency', startTime);
                     }
 
                     return decryptedData;
                 } catch (error) {
                     console.error('[PQC Mailbox] Decryption failed:', error);
-                    throw new Error(`Decryption failed: ${error.message}`);
+                    throw toCryptoError(error);
                 }
             }
         };
     }
 
+    // Pad messages, as Crypto.createEncryptor: the symmetric ciphertext is signed, so the
+    // signature is checked before decrypting. Without signKey the encryptor is read-only.
+    createPadEncryptor(keys) {
+        if (!keys?.cryptKey) {
+            throw new MissingKeyError('NO_DECRYPTION_KEY_PROVIDED');
+        }
+        const provider = this;
+        const cryptKey = this._ensureUint8Array(keys.cryptKey);
+
+        const encryptor = {
+            decrypt: async function(envelope, validateKey, skipCheck = false, associatedData = null) {
+                try {
+                    if (!validateKey && !skipCheck) {
+                        throw new MissingKeyError('UNSUPPORTED_DECRYPTION_CONFIGURATION');
+                    }
+                    const { encryptedData, signature } = provider.decodePadMessage(envelope);
+
+                    const signedData = provider._signedWithAssociatedData(encryptedData, associatedData);
+                    if (!skipCheck && !provider.verifySignature(signature, signedData, validateKey)) {
+                        throw new ValidationError('Invalid signature');
+                    }
+
+                    const startTime = performance.now();
+                    const decrypted = provider.symmetricCipher.decrypt(encryptedData, cryptKey, associatedData);
+                    provider._recordTiming('symmetricDecrypt', startTime);
+                    return provider.bytesToText(decrypted);
+                } catch (error) {
+                    console.error('[PQC Pad] Decryption failed:', error);
+                    throw toCryptoError(error);
+                }
+            }
+        };
+
+        if (keys.signKey) {
+            encryptor.encrypt = async function(data, associatedData = null) {
+                const startTime = performance.now();
+                const encryptedData = provider.symmetricCipher.encrypt(provider.textToBytes(data), cryptKey, associatedData);
+                provider._recordTiming('symmetricEncrypt', startTime);
+
+                const signature = provider.signData(
+                    provider._signedWithAssociatedData(encryptedData, associatedData),
+                    keys.signKey
+                );
+                return provider.encodeBase64(provider.encodePadMessage({ encryptedData, signature }));
+            };
+        }
+
+        return encryptor;
+    }
+
+    // As Curve.createEncryptor: messages are signed for the server, which only holds
+    // validateKey, while the peer reads them without checking the signature, the
+    // channel key already shows they come from the other side
+    createChannelEncryptor(keys) {
+        const padEncryptor = this.createPadEncryptor(keys);
+        return {
+            encrypt: padEncryptor.encrypt,
+            decrypt: async (envelope) => padEncryptor.decrypt(envelope, null, true)
+        };
+    }
+
+    // Checks a ciphertext-signed mailbox message without any secret key, as a relay would
+    // message: the transport string, the binary envelope or the decoded message
+    verifyMailboxMessage(message, senderPublicKey, recipientPublicKey, associatedData = null) {
+        if (typeof message === 'string' || message instanceof Uint8Array) {
+            message = this.decodeMailboxMessage(message);
+        }
+        if (message?.signatureMode !== MAILBOX_SIGNATURE_MODES.CIPHERTEXT) {
+            throw new UnsupportedSchemeError('Only ciphertext-signed messages can be verified without decrypting');
+        }
+
+        return this.verifySignature(
+            message.signature,
+            this._mailboxSignedBytes(message.ciphertext, message.encryptedData, recipientPublicKey, associatedData),
+            senderPublicKey
+        );
+    }
+
+    // label || 0x00 || recipientPublicKey || KEM ciphertext || encrypted payload, the first two
+    // have a fixed length for a given KEM so the concatenation is unambiguous
+    _mailboxSignedBytes(cipherText, encryptedData, recipientPublicKey, associatedData = null) {
+        return this._signedWithAssociatedData(this.concatUint8Arrays([
+            this.textToBytes(KEY_DERIVATION_INFO_PREFIX + KEY_DERIVATION_LABELS.MAILBOX_SIGNATURE),
+            new Uint8Array([0]),
+            this._ensureUint8Array(recipientPublicKey),
+            this._ensureUint8Array(cipherText),
+            this._ensureUint8Array(encryptedData)
+        ]), associatedData);
+    }
+
+    // Like Team.createEncryptor, partial key sets give a read-only or a write-only encryptor
     createTeamEncryptor(keys) {
         this.validateTeamKeys(keys);
         const provider = this;
 
-        const canEncrypt = true;
-        const canDecrypt = true;
+        const canEncrypt = this.teamCanEncrypt(keys);
+        const canDecrypt = this.teamCanDecrypt(keys);
         
         return {
-            encrypt: async function(data) {
+            encrypt: async function(data, associatedData = null) {
                 try {
-                    return await provider.teamEncrypt(data, keys);
+                    if (!canEncrypt) {
+                        throw new MissingKeyError('Missing team keys for encryption');
+                    }
+                    return await provider.teamEncrypt(data, keys, associatedData);
                 } catch (error) {
                     console.error('[PQC Team Encryptor] Encryption failed:', error);
-                    throw new Error(`Team encryption failed: ${error.message}`);
+                    throw toCryptoError(error, ValidationError);
                 }
             },
             
-            decrypt: async function(message, skipValidation = false) {
+            decrypt: async function(message, skipValidation = false, associatedData = null) {
                 try {
-                    return await provider.teamDecrypt(message, keys, skipValidation);
+                    if (!canDecrypt) {
+                        throw new MissingKeyError('Missing team keys for decryption');
+                    }
+                    return await provider.teamDecrypt(message, keys, skipValidation, associatedData);
                 } catch (error) {
                     console.error('[PQC Team Encryptor] Decryption failed:', error);
-                    throw new Error(`Team decryption failed: ${error.message}`);
+                    throw toCryptoError(error);
                 }
             },
 
@@ -204,85 +1081,146 @@ export class PQCProvider {
 
     // ========== Team Encryption Methods ==========
 
-    async teamEncrypt(data, keys) {
+    /*  sign(kem(sign(kem(msg, team), author) || author, ephemeral), team_signing_key)
+
+    The layers of encryptForTeam in crypto.js, with the author authenticated by a signature.
+    The NaCl inner box is from the author's Curve25519 key, which tells members who wrote the
+    message. A KEM encapsulation is anonymous, so the inner bundle is signed instead with the
+    author key pair from deriveTeamAuthorKeys, and its public key is the author returned by
+    teamDecrypt. Inner bundles whose author signature does not verify are rejected, whatever
+    skipValidation says, as a box that does not open is in crypto.js.
+
+    The outer layer is the ephemeral one: in NaCl the author boxes the inner bundle from a
+    fresh Curve25519 key pair and the ephemeral public key travels with the box. A KEM
+    encapsulation is that ephemeral key exchange, its ciphertext playing the part of the
+    ephemeral public key, so a fresh encapsulation to the team key is made for every message.
+    Everything that identifies the author (its public key and signature, the inner ciphertext)
+    is inside the outer layer, and what is left outside (the outer KEM ciphertext, an AEAD
+    ciphertext of a length that only depends on the message, the team signature) is either
+    random or the same for every member. Outer bundles from two authors can therefore not be
+    told apart without the team secret key.
+    */
+
+    async teamEncrypt(data, keys, associatedData = null) {
         const dataBytes = typeof data === 'string' ? this.textToBytes(data) : data;
 
         // Inner encryption layer
         const innerEncapsulation = await this.encapsulateSecret(keys.teamCurvePublic);
-        const innerEncrypted = this.encryptData(dataBytes, innerEncapsulation.sharedSecret);
+        const innerEncrypted = this.encryptBytes(dataBytes, innerEncapsulation.sharedSecret, {
+            label: KEY_DERIVATION_LABELS.TEAM_INNER,
+            cipherText: innerEncapsulation.cipherText,
+            recipientPublicKey: keys.teamCurvePublic,
+            associatedData
+        });
 
-        // Create inner bundle with author information
+        // Create inner bundle with author information, signed by the author
+        const authorKeys = this.deriveTeamAuthorKeys(keys.myCurvePrivate);
         const innerBundle = {
-            authorPublicKey: keys.myCurvePublic,
-            encryptedData: innerEncrypted,
-            ciphertext: this.encodeBase64(innerEncapsulation.cipherText)
+            authorPublicKey: authorKeys.publicKey,
+            ciphertext: innerEncapsulation.cipherText,
+            encryptedData: innerEncrypted
         };
-        const innerBundleBytes = this.textToBytes(JSON.stringify(innerBundle));
+        const authorSignature = await this.signData(
+            this._teamInnerSignedBytes(innerBundle, associatedData),
+            authorKeys.secretKey
+        );
 
-        // Outer encryption layer
-        const ephemeralKeypair = await this.generateKEMKeyPair();
+        return this.sealTeamInnerBundle(
+            this.encodeTeamInnerBundle({ ...innerBundle, signature: authorSignature }),
+            keys,
+            associatedData
+        );
+    }
+
+    // The outer layer and the team signature around an encoded inner bundle
+    async sealTeamInnerBundle(innerBundleBytes, keys, associatedData = null) {
+        // Outer encryption layer, a fresh encapsulation acts as the ephemeral key pair
         const outerEncapsulation = await this.encapsulateSecret(keys.teamCurvePublic);
-        const outerEncrypted = this.encryptData(innerBundleBytes, outerEncapsulation.sharedSecret);
+        const outerEncrypted = this.encryptBytes(innerBundleBytes, outerEncapsulation.sharedSecret, {
+            label: KEY_DERIVATION_LABELS.TEAM_OUTER,
+            cipherText: outerEncapsulation.cipherText,
+            recipientPublicKey: keys.teamCurvePublic,
+            associatedData
+        });
 
-        // Create outer bundle with ephemeral key
+        // Nothing in the outer bundle depends on the author
         const outerBundle = {
-            encryptedData: outerEncrypted,
-            ciphertext: this.encodeBase64(outerEncapsulation.cipherText),
-            ephemeralPublicKey: ephemeralKeypair.publicKey
+            ciphertext: outerEncapsulation.cipherText,
+            encryptedData: outerEncrypted
         };
 
         // Sign the entire outer bundle
-        const outerBundleBytes = this.textToBytes(JSON.stringify(outerBundle));
-        const signature = await this.signData(outerBundleBytes, keys.teamEdPrivate);
+        const signature = await this.signData(this._teamSignedBytes(outerBundle, associatedData), keys.teamEdPrivate);
 
-        return {
-            outerBundle: outerBundle,
-            signature: this.encodeBase64(signature)
-        };
+        return this.encodeBase64(this.encodeTeamMessage({ ...outerBundle, signature }));
     }
 
-    async teamDecrypt(message, keys, skipValidation) {
-        try {
-            const { outerBundle, signature } = message;
-
-            // Validate signature if required
-            if (!skipValidation) {
-                const outerBundleBytes = this.textToBytes(JSON.stringify(outerBundle));
-                const signatureBytes = this.decodeBase64(signature);
-                const isValid = await this.verifySignature(
-                    signatureBytes, 
-                    outerBundleBytes, 
-                    keys.teamEdPublic
-                );
-                
-                if (!isValid) {
-                    throw new Error('Invalid team signature');
-                }
-            }
+    // Checks the team signature unless skipValidation and returns the encoded inner bundle
+    async openTeamMessage(envelope, keys, skipValidation, associatedData = null) {
+        const outerBundle = this.decodeTeamMessage(envelope);
 
-            // Decrypt outer layer
-            const outerCiphertext = this.decodeBase64(outerBundle.ciphertext);
-            const outerSharedSecret = await this.decapsulateSecret(
-                outerCiphertext, 
-                keys.teamCurvePrivate
-            );
-            const decryptedOuterBundle = this.decryptData(
-                outerBundle.encryptedData, 
-                outerSharedSecret
+        // Validate signature if required
+        if (!skipValidation) {
+            const isValid = await this.verifySignature(
+                outerBundle.signature,
+                this._teamSignedBytes(outerBundle, associatedData),
+                keys.teamEdPublic
             );
 
+            if (!isValid) {
+                throw new ValidationError('Invalid team signature');
+            }
+        }
+
+        // Decrypt outer layer
+        const outerSharedSecret = await this.decapsulateSecret(
+            outerBundle.ciphertext,
+            keys.teamCurvePrivate
+        );
+        return this.decryptBytes(
+            outerBundle.encryptedData,
+            outerSharedSecret,
+            {
+                label: KEY_DERIVATION_LABELS.TEAM_OUTER,
+                cipherText: outerBundle.ciphertext,
+                recipientPublicKey: keys.teamCurvePublic,
+                associatedData
+            }
+        );
+    }
+
+    async teamDecrypt(envelope, keys, skipValidation, associatedData = null) {
+        try {
             // Parse inner bundle
-            const innerBundle = JSON.parse(decryptedOuterBundle);
+            const innerBundle = this.decodeTeamInnerBundle(
+                await this.openTeamMessage(envelope, keys, skipValidation, associatedData)
+            );
+
+            // The author signature is checked even when the team signature is not
+            const isAuthor = innerBundle.authorPublicKey.length === this.signatureScheme.sizes.publicKey &&
+                await this.verifySignature(
+                    innerBundle.signature,
+                    this._teamInnerSignedBytes(innerBundle, associatedData),
+                    innerBundle.authorPublicKey
+                );
+            if (!isAuthor) {
+                throw new ValidationError('Invalid author signature');
+            }
 
             // Decrypt inner layer
-            const innerCiphertext = this.decodeBase64(innerBundle.ciphertext);
             const innerSharedSecret = await this.decapsulateSecret(
-                innerCiphertext,
+                innerBundle.ciphertext,
                 keys.teamCurvePrivate
             );
             const decryptedData = this.decryptData(
-                innerBundle.encryptedData, 
-                innerSharedSecret
+                innerBundle.encryptedData,
+                innerSharedSecret,
+                {
+                    label: KEY_DERIVATION_LABELS.TEAM_INNER,
+                    cipherText: innerBundle.ciphertext,
+                    recipientPublicKey: keys.teamCurvePublic,
+                    associatedData
+                }
             );
 
             return {
@@ -291,20 +1229,89 @@ export class PQCProvider {
             };
         } catch (error) {
             console.error('[PQC Team] Decryption failed:', error);
-            throw new Error(`Team decryption failed: ${error.message}`);
+            throw toCryptoError(error);
+        }
+    }
+
+    // ========== Key Serialisation Methods ==========
+
+    // Algorithm ids are the scheme registry ids, so keys from another parameter set are refused
+    _keyDescription(type) {
+        const isKem = type === KEY_TYPES.KEM_PUBLIC || type === KEY_TYPES.KEM_SECRET;
+        const scheme = isKem ? this.kemScheme : this.signatureScheme;
+        const isPublic = type === KEY_TYPES.KEM_PUBLIC || type === KEY_TYPES.SIGN_PUBLIC;
+        return { algorithm: scheme.id, length: isPublic ? scheme.sizes.publicKey : scheme.sizes.secretKey };
+    }
+
+    exportKey(key, type) {
+        return serializeKey({ algorithm: this._keyDescription(type).algorithm, type, bytes: this._ensureUint8Array(key) });
+    }
+
+    importKey(serialized, type) {
+        const { algorithm, length } = this._keyDescription(type);
+        const { bytes } = deserializeKey(serialized, { algorithm, type });
+        if (bytes.length !== length) {
+            throw new ValidationError(`Invalid ${algorithm} ${type} key length: ${bytes.length}`);
         }
+        return bytes;
+    }
+
+    // ========== Key Validation Methods ==========
+
+    _teamKeySizes() {
+        return {
+            teamCurvePublic: this.kemScheme.sizes.publicKey,
+            teamCurvePrivate: this.kemScheme.sizes.secretKey,
+            myCurvePublic: this.kemScheme.sizes.publicKey,
+            myCurvePrivate: this.kemScheme.sizes.secretKey,
+            teamEdPublic: this.signatureScheme.sizes.publicKey,
+            teamEdPrivate: this.signatureScheme.sizes.secretKey
+        };
+    }
+
+    _hasTeamKeys(keys, names) {
+        const sizes = this._teamKeySizes();
+        return names.every(name => keys[name] && this._ensureUint8Array(keys[name]).length === sizes[name]);
+    }
+
+    teamCanDecrypt(keys) {
+        return this._hasTeamKeys(keys, [
+            // team_curve_private (to read messages encrypted for the team)
+            'teamCurvePrivate',
+            // team_curve_public (the derived keys are bound to it)
+            'teamCurvePublic',
+            // team_ed_public (to validate that messages are signed by team members)
+            'teamEdPublic'
+        ]);
+    }
+
+    teamCanEncrypt(keys) {
+        return this._hasTeamKeys(keys, [
+            // my_curve_private (for the author key that signs the inner message)
+            'myCurvePrivate',
+            // my_curve_public (the member's own key, as in crypto.js)
+            'myCurvePublic',
+            // team_curve_public (to encrypt for the team)
+            'teamCurvePublic',
+            // team_ed_private (to sign the final message)
+            'teamEdPrivate'
+        ]);
     }
 
     validateTeamKeys(keys) {
-        const requiredKeys = [
-            'teamCurvePublic', 'teamCurvePrivate',
-            'teamEdPublic', 'teamEdPrivate', 
-            'myCurvePublic', 'myCurvePrivate'
-        ];
-        
-        const missingKeys = requiredKeys.filter(key => !keys[key]);
-        if (missingKeys.length > 0) {
-            throw new Error(`Missing required team keys: ${missingKeys.join(', ')}`);
+        if (!keys) {
+            throw new MissingKeyError('Missing team keys');
+        }
+
+        const sizes = this._teamKeySizes();
+        const invalidKeys = Object.keys(sizes)
+            .filter(name => keys[name] && this._ensureUint8Array(keys[name]).length !== sizes[name]);
+        if (invalidKeys.length > 0) {
+            throw new ValidationError(`Invalid team key lengths: ${invalidKeys.join(', ')}`);
+        }
+
+        if (!this.teamCanEncrypt(keys) && !this.teamCanDecrypt(keys)) {
+            throw new MissingKeyError('INVALID_TEAM_CONFIGURATION');
         }
         
         return true;
@@ -0,0 +1,839 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import {
+    FILE_CHUNK_SIZE, MAX_FILE_CHUNK_SIZE, encodeUint32, decodeUint32, rechunk, encodeRecord, readRecords,
+    encodeChunkRecord, chunkNonce, chunkNoncePrefixLength, openChunks
+} from '../fileStream.js';
+import { KEY_TYPES, serializeKey, deserializeKey } from '../keySerialization.js';
+import {
+    DecryptionError, ValidationError, MissingKeyError, UnsupportedSchemeError, toCryptoError
+} from '../cryptoErrors.js';
+
+/*  Classical baseline on the runtime's native WebCrypto
+
+The NaCl provider's interface and key layouts, with every primitive run by crypto.subtle
+instead of tweetnacl, so that the gap between the PQC and NaCl timings can be split
+between the algorithms and pure-JS code:
+
+    Nacl.box        X25519, HKDF-SHA-256 and AES-256-GCM
+    Nacl.secretbox  AES-256-GCM
+    Nacl.sign       Ed25519
+    Nacl.hash       SHA-512
+
+Keys are laid out as in tweetnacl: 32-byte X25519 keys, 32-byte Ed25519 public keys and
+64-byte Ed25519 secret keys (seed || public key). WebCrypto only imports private keys as
+PKCS8 or JWK, so seeds are put behind the fixed RFC 8410 PKCS8 prefix.
+
+Messages keep the layouts of crypto.js, with 12-byte AES-GCM nonces in place of the
+24-byte XSalsa20 ones, and cannot be read by NaCl clients. crypto.subtle is asynchronous
+only, which the synchronous Team.deriveMemberKeys interface cannot wrap: teams use the
+identity keys, as with the ElGamal provider.
+*/
+
+const KEY_LENGTH = 32;
+const SIGN_SECRET_KEY_LENGTH = 64;
+const SIGNATURE_LENGTH = 64;
+const AES_KEY_BITS = 256;
+const AES_GCM_IV_LENGTH = 12;
+const AES_GCM_TAG_LENGTH = 16;
+// Seed length of createEditCryptor2 and createFileCryptor2 in crypto.js
+const PAD_SEED_LENGTH = 18;
+const BOX_KEY_INFO = 'CryptPad.WebCrypto.box';
+// Same salt as Curve.deriveKeys
+const CHANNEL_SALT = 'CryptPad.signingKeyGenerationSalt';
+const BASE64_SLICE_LENGTH = 0x8000;
+
+const fromHex = (hex) => Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+
+// PKCS8 of a private key, up to the 32-byte seed that follows (RFC 8410)
+const PKCS8_PREFIXES = {
+    X25519: fromHex('302e020100300506032b656e04220420'),
+    Ed25519: fromHex('302e020100300506032b657004220420')
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const encodeBase64 = (bytes) => {
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += BASE64_SLICE_LENGTH) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + BASE64_SLICE_LENGTH));
+    }
+    return btoa(binary);
+};
+
+const decodeBase64 = (str) => {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+// JWK members are unpadded base64url
+const decodeBase64Url = (str) => {
+    const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    return decodeBase64(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+};
+
+const concat = (arrays) => {
+    const result = new Uint8Array(arrays.reduce((acc, arr) => acc + arr.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+};
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+let webCryptoSupport = null;
+
+// Whether the runtime's WebCrypto has Ed25519 and X25519, checked once
+export function isWebCryptoSupported() {
+    if (!webCryptoSupport) {
+        const subtle = globalThis.crypto?.subtle;
+        webCryptoSupport = subtle
+            ? Promise.all([
+                subtle.generateKey({ name: 'X25519' }, false, ['deriveBits']),
+                subtle.generateKey({ name: 'Ed25519' }, false, ['sign', 'verify'])
+            ]).then(() => true, () => false)
+            : Promise.resolve(false);
+    }
+    return webCryptoSupport;
+}
+
+export class WebCryptoProvider {
+    constructor() {
+        this.initialized = false;
+        this.initPromise = null;
+        this.supportsAssociatedData = true;
+        // CryptoKeys imported from the keys given to the encryptors, by algorithm and key
+        this.keyCache = new Map();
+        console.log('[WebCryptoProvider] Initialized WebCrypto crypto provider');
+    }
+
+    async init() {
+        if (this.initialized) {
+            return true;
+        }
+
+        if (this.initPromise) {
+            return this.initPromise;
+        }
+
+        this.initPromise = new Promise(async (resolve, reject) => {
+            try {
+                if (!await isWebCryptoSupported()) {
+                    throw new UnsupportedSchemeError("Ed25519 and X25519 are not supported by this runtime's WebCrypto");
+                }
+                this.initialized = true;
+                resolve(true);
+            } catch (error) {
+                console.error('[WebCryptoProvider] Initialization failed:', error);
+                this.initPromise = null;
+                reject(error);
+            }
+        });
+
+        return this.initPromise;
+    }
+
+    // ========== Utility Methods ==========
+
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.init();
+        }
+        return this.initialized;
+    }
+
+    async textToBytes(text) {
+        if (text === null || text === undefined) {
+            return new Uint8Array(0);
+        }
+        if (text instanceof Uint8Array) {
+            return text;
+        }
+        return textEncoder.encode(String(text));
+    }
+
+    async bytesToText(bytes) {
+        if (!bytes) {
+            return '';
+        }
+        return textDecoder.decode(bytes);
+    }
+
+    concatUint8Arrays(arrays) {
+        return concat(arrays);
+    }
+
+    // URL-safe base64 of the pad key strings, as b64Encode and b64Decode in crypto.js
+    _b64Encode(bytes) {
+        return encodeBase64(bytes).replace(/\//g, '-').replace(/=+$/g, '');
+    }
+
+    _b64Decode(str) {
+        return decodeBase64(str.replace(/\-/g, '/'));
+    }
+
+    async _hash(bytes) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-512', bytes));
+    }
+
+    // ========== Key Generation Methods ==========
+
+    async generateKEMKeyPair() {
+        await this.ensureInitialized();
+        const keyPair = await crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+        const { d, x } = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+        return {
+            publicKey: encodeBase64(decodeBase64Url(x)),
+            secretKey: encodeBase64(decodeBase64Url(d))
+        };
+    }
+
+    async generateDSAKeyPair() {
+        await this.ensureInitialized();
+        const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+        return await this._exportSignKeyPair(keyPair.privateKey);
+    }
+
+    // As Nacl.sign.keyPair.fromSeed
+    async _signKeyPairFromSeed(seed) {
+        const privateKey = await crypto.subtle.importKey(
+            'pkcs8', concat([PKCS8_PREFIXES.Ed25519, seed]), { name: 'Ed25519' }, true, ['sign']
+        );
+        return await this._exportSignKeyPair(privateKey);
+    }
+
+    // The JWK holds the seed and the public key, the tweetnacl secret key is both
+    async _exportSignKeyPair(privateKey) {
+        const { d, x } = await crypto.subtle.exportKey('jwk', privateKey);
+        const publicKey = decodeBase64Url(x);
+        return {
+            publicKey: encodeBase64(publicKey),
+            secretKey: encodeBase64(concat([decodeBase64Url(d), publicKey]))
+        };
+    }
+
+    // ========== Key Import Methods ==========
+
+    // Keys from the encryptors' key sets are imported once, keys read from messages every time
+    _cachedKey(id, importKey) {
+        if (!this.keyCache.has(id)) {
+            this.keyCache.set(id, importKey().catch(error => {
+                this.keyCache.delete(id);
+                throw error;
+            }));
+        }
+        return this.keyCache.get(id);
+    }
+
+    // algorithm: 'X25519' or 'Ed25519', base64Key: a tweetnacl secret key
+    _privateKey(base64Key, algorithm) {
+        const usages = algorithm === 'Ed25519' ? ['sign'] : ['deriveBits'];
+        return this._cachedKey(`${algorithm}:private:${base64Key}`, () => crypto.subtle.importKey(
+            'pkcs8',
+            concat([PKCS8_PREFIXES[algorithm], decodeBase64(base64Key).subarray(0, KEY_LENGTH)]),
+            { name: algorithm },
+            false,
+            usages
+        ));
+    }
+
+    _publicKey(base64Key, algorithm) {
+        return this._cachedKey(`${algorithm}:public:${base64Key}`, () => this._importPublicKey(decodeBase64(base64Key), algorithm));
+    }
+
+    _importPublicKey(bytes, algorithm) {
+        const usages = algorithm === 'Ed25519' ? ['verify'] : [];
+        return crypto.subtle.importKey('raw', bytes, { name: algorithm }, false, usages);
+    }
+
+    // Pad keys are Uint8Arrays, channel keys base64 as from Curve.deriveKeys
+    _secretKey(key) {
+        const base64Key = typeof key === 'string' ? key : encodeBase64(key);
+        return this._cachedKey(`AES-GCM:${base64Key}`, () => crypto.subtle.importKey(
+            'raw', decodeBase64(base64Key), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']
+        ));
+    }
+
+    // ========== Associated Data Methods ==========
+
+    // AES-GCM parameters, associatedData (a block header) is authenticated along with the ciphertext
+    _aesGcmParams(iv, associatedData) {
+        return associatedData?.length
+            ? { name: 'AES-GCM', iv, additionalData: associatedData }
+            : { name: 'AES-GCM', iv };
+    }
+
+    // The signature covers the associated data too, length-prefixed ahead of the message
+    _signedWithAssociatedData(messageToSign, associatedData) {
+        if (!associatedData?.length) return messageToSign;
+        return concat([encodeUint32(associatedData.length), associatedData, messageToSign]);
+    }
+
+    // ========== Primitive Methods ==========
+
+    // nonce (12) || AES-GCM ciphertext, as the nonce || secretbox output of crypto.js
+    async _secretboxSeal(plain, key, associatedData = null) {
+        const iv = randomBytes(AES_GCM_IV_LENGTH);
+        const ciphertext = await crypto.subtle.encrypt(this._aesGcmParams(iv, associatedData), key, plain);
+        return concat([iv, new Uint8Array(ciphertext)]);
+    }
+
+    async _secretboxOpen(sealed, key, associatedData = null) {
+        if (sealed.length < AES_GCM_IV_LENGTH + AES_GCM_TAG_LENGTH) {
+            throw new ValidationError('Ciphertext too short');
+        }
+        try {
+            const plain = await crypto.subtle.decrypt(
+                this._aesGcmParams(sealed.subarray(0, AES_GCM_IV_LENGTH), associatedData),
+                key,
+                sealed.subarray(AES_GCM_IV_LENGTH)
+            );
+            return new Uint8Array(plain);
+        } catch (error) {
+            throw new DecryptionError('AES-GCM decryption failed', { cause: error });
+        }
+    }
+
+    // AES-256-GCM key for a pair of X25519 keys, the counterpart of Nacl.box.before
+    async _boxKey(privateKey, publicKey) {
+        const sharedSecret = await crypto.subtle.deriveBits({ name: 'X25519', public: publicKey }, privateKey, AES_KEY_BITS);
+        const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: textEncoder.encode(BOX_KEY_INFO) },
+            hkdfKey,
+            { name: 'AES-GCM', length: AES_KEY_BITS },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // sender public key (32) || nonce (12) || AES-GCM ciphertext, as asymmetric_encrypt in crypto.js
+    async _box(plain, theirPublicKey, myPrivateKey, myPublicKeyBytes, associatedData) {
+        const key = await this._boxKey(myPrivateKey, theirPublicKey);
+        return concat([myPublicKeyBytes, await this._secretboxSeal(plain, key, associatedData)]);
+    }
+
+    async _boxOpen(box, myPrivateKey, associatedData) {
+        if (box.length < KEY_LENGTH) {
+            throw new ValidationError('Box too short');
+        }
+        const author = box.slice(0, KEY_LENGTH);
+        const key = await this._boxKey(myPrivateKey, await this._importPublicKey(author, 'X25519'));
+        return { content: await this._secretboxOpen(box.subarray(KEY_LENGTH), key, associatedData), author };
+    }
+
+    async _sign(message, signingKey) {
+        const signature = await crypto.subtle.sign({ name: 'Ed25519' }, await this._privateKey(signingKey, 'Ed25519'), message);
+        return new Uint8Array(signature);
+    }
+
+    async _verify(signature, message, validateKey) {
+        return await crypto.subtle.verify({ name: 'Ed25519' }, await this._publicKey(validateKey, 'Ed25519'), signature, message);
+    }
+
+    // ========== Sealed Letter Methods ==========
+
+    /*  sign(box(box(msg, author), ephemeral), signing key), as sealSecretLetter and encryptForTeam
+
+    The inner box is from the author's key, so the recipient learns who wrote the message,
+    the outer one from a fresh ephemeral key, so nothing left outside identifies the author.
+    The Ed25519 signature is put in front, as Nacl.sign does.
+    */
+    async _sealLetter(plain, theirPublicKey, myKeys, signingKey, associatedData) {
+        const recipientKey = await this._publicKey(theirPublicKey, 'X25519');
+
+        const letter = await this._box(
+            await this.textToBytes(plain),
+            recipientKey,
+            await this._privateKey(myKeys.curvePrivate, 'X25519'),
+            decodeBase64(myKeys.curvePublic),
+            associatedData
+        );
+
+        const ephemeral = await crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+        const sealed = await this._box(
+            letter,
+            recipientKey,
+            ephemeral.privateKey,
+            new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey)),
+            associatedData
+        );
+
+        const signature = await this._sign(this._signedWithAssociatedData(sealed, associatedData), signingKey);
+        return encodeBase64(concat([signature, sealed]));
+    }
+
+    // Returns { content, author } as openSecretLetter, the signature is only checked with a validateKey
+    async _openLetter(cipher, myPrivateKey, validateKey, associatedData) {
+        const bundle = decodeBase64(cipher);
+        if (bundle.length < SIGNATURE_LENGTH) {
+            throw new ValidationError('Message too short');
+        }
+        const sealed = bundle.subarray(SIGNATURE_LENGTH);
+
+        if (validateKey) {
+            const signedBytes = this._signedWithAssociatedData(sealed, associatedData);
+            if (!await this._verify(bundle.subarray(0, SIGNATURE_LENGTH), signedBytes, validateKey)) {
+                throw new ValidationError('Invalid signature');
+            }
+        }
+
+        const privateKey = await this._privateKey(myPrivateKey, 'X25519');
+        const letter = await this._boxOpen(sealed, privateKey, associatedData);
+        const message = await this._boxOpen(letter.content, privateKey, associatedData);
+
+        return {
+            content: await this.bytesToText(message.content),
+            author: encodeBase64(message.author)
+        };
+    }
+
+    // ========== Pad Key Derivation Methods ==========
+
+    // createEditCryptor2, createViewCryptor2 and createFileCryptor2 from crypto.js, asynchronous,
+    // giving the same keys from the same key strings
+
+    // The password is prepended to the seed, as in crypto.js
+    _padSuperSeed(seed, password) {
+        if (!password) return seed;
+        return concat([textEncoder.encode(password), seed]);
+    }
+
+    async createViewCryptor2(viewKeyStr, password) {
+        try {
+            if (!viewKeyStr) {
+                throw new MissingKeyError('Cannot open a new pad in read-only mode!');
+            }
+            const hash = await this._hash(this._padSuperSeed(this._b64Decode(viewKeyStr), password));
+            const signKp2 = await this._signKeyPairFromSeed(hash.subarray(32, 64));
+
+            return {
+                viewKeyStr,
+                cryptKey: hash.slice(16, 48),
+                chanId: this._b64Encode(hash.subarray(0, 16)),
+                secondarySignKey: signKp2.secretKey,
+                secondaryValidateKey: signKp2.publicKey
+            };
+        } catch (error) {
+            console.error('[WebCryptoProvider] createViewCryptor2: invalid string supplied');
+            throw toCryptoError(error, ValidationError);
+        }
+    }
+
+    async createEditCryptor2(keyStr, seed, password) {
+        try {
+            if (!keyStr) {
+                if (seed && seed.length !== PAD_SEED_LENGTH) {
+                    throw new ValidationError(`expected supplied seed to have length of ${PAD_SEED_LENGTH}`);
+                } else if (!seed) {
+                    seed = randomBytes(PAD_SEED_LENGTH);
+                }
+                keyStr = this._b64Encode(seed);
+            }
+            if (!seed) {
+                seed = this._b64Decode(keyStr);
+            }
+
+            const hash = await this._hash(this._padSuperSeed(seed, password));
+            const signKp = await this._signKeyPairFromSeed(hash.subarray(0, 32));
+            // Derived from the signing secret key, so it can be delegated without the editing secrets
+            const secondary = (await this._hash(decodeBase64(signKp.secretKey))).subarray(0, KEY_LENGTH);
+
+            const viewKeyStr = this._b64Encode(hash.subarray(32, 64));
+            const viewCryptor = await this.createViewCryptor2(viewKeyStr, password);
+
+            return {
+                editKeyStr: keyStr,
+                viewKeyStr,
+                signKey: signKp.secretKey,
+                validateKey: signKp.publicKey,
+                cryptKey: viewCryptor.cryptKey,
+                secondaryKey: encodeBase64(secondary),
+                chanId: viewCryptor.chanId,
+                secondarySignKey: viewCryptor.secondarySignKey,
+                secondaryValidateKey: viewCryptor.secondaryValidateKey
+            };
+        } catch (error) {
+            console.error('[WebCryptoProvider] createEditCryptor2: invalid string supplied');
+            throw toCryptoError(error, ValidationError);
+        }
+    }
+
+    async createFileCryptor2(keyStr, password) {
+        try {
+            let seed;
+            if (!keyStr) {
+                seed = randomBytes(PAD_SEED_LENGTH);
+                keyStr = this._b64Encode(seed);
+            }
+            if (!seed) {
+                seed = this._b64Decode(keyStr);
+            }
+
+            const hash = await this._hash(this._padSuperSeed(seed, password));
+            return {
+                fileKeyStr: keyStr,
+                cryptKey: hash.slice(24, 56),
+                chanId: this._b64Encode(hash.subarray(0, 24))
+            };
+        } catch (error) {
+            console.error('[WebCryptoProvider] createFileCryptor2: invalid string supplied');
+            throw toCryptoError(error, ValidationError);
+        }
+    }
+
+    // ========== Channel Methods ==========
+
+    // Curve.deriveKeys needs no handshake, both sides derive the channel keys from the
+    // static exchange right away. Same interface as the KEM handshake of the PQC provider.
+    async channelInitiate(myKeys, theirPublicKey) {
+        return {
+            handshake: null,
+            state: { keys: await this.deriveChannelKeys(theirPublicKey, myKeys.curvePrivate) }
+        };
+    }
+
+    async channelRespond(myKeys, theirPublicKey) {
+        return {
+            handshake: null,
+            keys: await this.deriveChannelKeys(theirPublicKey, myKeys.curvePrivate)
+        };
+    }
+
+    channelFinish(state) {
+        return state.keys;
+    }
+
+    // As Curve.deriveKeys: SHA-512 over the salt and the X25519 secret, the first half seeds
+    // the signing key pair and the second is cryptKey
+    async deriveChannelKeys(theirPublicKey, myPrivateKey) {
+        const sharedSecret = await crypto.subtle.deriveBits(
+            { name: 'X25519', public: await this._publicKey(theirPublicKey, 'X25519') },
+            await this._privateKey(myPrivateKey, 'X25519'),
+            AES_KEY_BITS
+        );
+        const hash = await this._hash(concat([textEncoder.encode(CHANNEL_SALT), new Uint8Array(sharedSecret)]));
+        const signKp = await this._signKeyPairFromSeed(hash.subarray(0, 32));
+
+        return {
+            cryptKey: encodeBase64(hash.subarray(32, 64)),
+            signKey: signKp.secretKey,
+            validateKey: signKp.publicKey
+        };
+    }
+
+    // ========== Encryptor Creation Methods ==========
+
+    // As Crypto.createEncryptor: signature (64) || nonce (12) || AES-GCM ciphertext, the
+    // signature is checked before decrypting. Without signKey the encryptor is read-only.
+    createPadEncryptor(keys) {
+        if (!keys?.cryptKey) {
+            throw new MissingKeyError('NO_DECRYPTION_KEY_PROVIDED');
+        }
+
+        const encryptor = {
+            decrypt: async (cipher, validateKey, skipCheck = false, associatedData = null) => {
+                try {
+                    if (!validateKey && !skipCheck) {
+                        throw new MissingKeyError('UNSUPPORTED_DECRYPTION_CONFIGURATION');
+                    }
+                    const bundle = decodeBase64(cipher);
+                    if (bundle.length < SIGNATURE_LENGTH) {
+                        throw new ValidationError('Message too short');
+                    }
+                    const sealed = bundle.subarray(SIGNATURE_LENGTH);
+
+                    if (!skipCheck) {
+                        const signedBytes = this._signedWithAssociatedData(sealed, associatedData);
+                        if (!await this._verify(bundle.subarray(0, SIGNATURE_LENGTH), signedBytes, validateKey)) {
+                            throw new ValidationError('Invalid signature');
+                        }
+                    }
+
+                    const plain = await this._secretboxOpen(sealed, await this._secretKey(keys.cryptKey), associatedData);
+                    return await this.bytesToText(plain);
+                } catch (error) {
+                    console.error('[WebCryptoProvider] Pad decryption failed:', error);
+                    throw toCryptoError(error);
+                }
+            }
+        };
+
+        if (keys.signKey) {
+            encryptor.encrypt = async (plain, associatedData = null) => {
+                const sealed = await this._secretboxSeal(
+                    await this.textToBytes(plain),
+                    await this._secretKey(keys.cryptKey),
+                    associatedData
+                );
+                const signature = await this._sign(this._signedWithAssociatedData(sealed, associatedData), keys.signKey);
+                return encodeBase64(concat([signature, sealed]));
+            };
+        }
+
+        return encryptor;
+    }
+
+    // As Curve.createEncryptor: messages are signed for the server, the peer reads them
+    // without checking the signature
+    createChannelEncryptor(keys) {
+        const padEncryptor = this.createPadEncryptor(keys);
+        return {
+            encrypt: padEncryptor.encrypt,
+            decrypt: async (cipher) => padEncryptor.decrypt(cipher, null, true)
+        };
+    }
+
+    async createMailboxEncryptor(keys) {
+        await this.ensureInitialized();
+
+        if (!keys?.curvePublic || !keys?.curvePrivate) {
+            throw new MissingKeyError('Expected key was not present');
+        }
+
+        return {
+            encrypt: async (plain, recipient, associatedData = null) => {
+                try {
+                    if (!keys.signingKey) {
+                        throw new MissingKeyError('Missing signing key');
+                    }
+                    return await this._sealLetter(plain, recipient, keys, keys.signingKey, associatedData);
+                } catch (err) {
+                    console.error('[WebCryptoProvider] Encryption failed:', err);
+                    throw toCryptoError(err, ValidationError);
+                }
+            },
+            // Without validateKey the signature is not checked, as in the NaCl provider
+            decrypt: async (cipher, validateKey, associatedData = null) => {
+                try {
+                    return await this._openLetter(cipher, keys.curvePrivate, validateKey, associatedData);
+                } catch (err) {
+                    console.error('[WebCryptoProvider] Decryption failed:', err);
+                    throw toCryptoError(err);
+                }
+            }
+        };
+    }
+
+    // Like Team.createEncryptor, partial key sets give a read-only or a write-only encryptor
+    async createTeamEncryptor(keys) {
+        await this.ensureInitialized();
+        this.validateTeamKeys(keys);
+
+        const canEncrypt = this.teamCanEncrypt(keys);
+        const canDecrypt = this.teamCanDecrypt(keys);
+
+        return {
+            encrypt: async (plain, associatedData = null) => {
+                try {
+                    if (!canEncrypt) {
+                        throw new MissingKeyError('Missing team keys for encryption');
+                    }
+                    return await this._sealLetter(
+                        plain,
+                        keys.teamCurvePublic,
+                        { curvePublic: keys.myCurvePublic, curvePrivate: keys.myCurvePrivate },
+                        keys.teamEdPrivate,
+                        associatedData
+                    );
+                } catch (err) {
+                    console.error('[WebCryptoProvider] Team encryption failed:', err);
+                    throw toCryptoError(err, ValidationError);
+                }
+            },
+
+            decrypt: async (cipher, skipValidation = false, associatedData = null) => {
+                try {
+                    if (!canDecrypt) {
+                        throw new MissingKeyError('Missing team keys for decryption');
+                    }
+                    const validateKey = skipValidation === true ? null : keys.teamEdPublic;
+                    return await this._openLetter(cipher, keys.teamCurvePrivate, validateKey, associatedData);
+                } catch (err) {
+                    console.error('[WebCryptoProvider] Team decryption failed:', err);
+                    throw toCryptoError(err);
+                }
+            },
+
+            can_encrypt: canEncrypt,
+            can_decrypt: canDecrypt
+        };
+    }
+
+    // ========== File Stream Methods ==========
+
+    /*  The NaCl provider's file stream, with AES-256-GCM in place of the secretbox
+
+    The file key is boxed once for the recipient under an ephemeral key pair:
+
+        header = ephemeral public key (32) || nonce (12) || boxed file key (48)
+                 || chunk nonce prefix (7) || chunk size (4)
+
+    The random file key and nonce prefix keep the short chunk nonces unique.
+    */
+    _fileHeaderLayout() {
+        return {
+            publicKey: KEY_LENGTH,
+            boxedKey: AES_GCM_IV_LENGTH + KEY_LENGTH + AES_GCM_TAG_LENGTH,
+            noncePrefix: chunkNoncePrefixLength(AES_GCM_IV_LENGTH),
+            chunkSize: 4
+        };
+    }
+
+    async *encryptFileStream(source, recipientPublicKey, options = {}) {
+        await this.ensureInitialized();
+        const chunkSize = options.chunkSize || FILE_CHUNK_SIZE;
+        if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > MAX_FILE_CHUNK_SIZE) {
+            throw new ValidationError(`Invalid file chunk size: ${chunkSize}`);
+        }
+
+        const fileKeyBytes = randomBytes(KEY_LENGTH);
+        const fileKey = await crypto.subtle.importKey('raw', fileKeyBytes, { name: 'AES-GCM' }, false, ['encrypt']);
+        const noncePrefix = randomBytes(this._fileHeaderLayout().noncePrefix);
+
+        const ephemeral = await crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+        const boxKey = await this._boxKey(ephemeral.privateKey, await this._publicKey(recipientPublicKey, 'X25519'));
+        const boxedKey = await this._secretboxSeal(fileKeyBytes, boxKey);
+
+        yield encodeRecord(concat([
+            new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey)),
+            boxedKey,
+            noncePrefix,
+            encodeUint32(chunkSize)
+        ]));
+
+        let index = 0;
+        for await (const { chunk, last } of rechunk(source, chunkSize)) {
+            const sealed = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: chunkNonce(noncePrefix, index, last) }, fileKey, chunk
+            );
+            yield encodeChunkRecord(new Uint8Array(sealed), last);
+            index++;
+        }
+    }
+
+    async *decryptFileStream(source, keys) {
+        await this.ensureInitialized();
+        const layout = this._fileHeaderLayout();
+        const records = readRecords(source);
+
+        const header = await records.next();
+        if (header.done) {
+            throw new DecryptionError('Truncated file: missing header');
+        }
+        if (header.value.length !== Object.values(layout).reduce((sum, length) => sum + length, 0)) {
+            throw new ValidationError('Invalid file header');
+        }
+
+        let offset = 0;
+        const [ephemeralPublicKey, boxedKey, noncePrefix, chunkSizeBytes] = Object.values(layout).map(length => {
+            const part = header.value.subarray(offset, offset + length);
+            offset += length;
+            return part;
+        });
+
+        let fileKey;
+        try {
+            const boxKey = await this._boxKey(
+                await this._privateKey(keys.curvePrivate, 'X25519'),
+                await this._importPublicKey(ephemeralPublicKey, 'X25519')
+            );
+            const fileKeyBytes = await this._secretboxOpen(boxedKey, boxKey);
+            fileKey = await crypto.subtle.importKey('raw', fileKeyBytes, { name: 'AES-GCM' }, false, ['decrypt']);
+        } catch (error) {
+            throw new DecryptionError('Unable to open the file key', { cause: error });
+        }
+
+        yield* openChunks(
+            records,
+            async (sealed, index, last) => new Uint8Array(await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: chunkNonce(noncePrefix, index, last) }, fileKey, sealed
+            )),
+            decodeUint32(chunkSizeBytes) + AES_GCM_TAG_LENGTH
+        );
+    }
+
+    // ========== Key Serialisation Methods ==========
+
+    // Same keys as the NaCl provider: X25519, and Ed25519 secret keys as seed || public key
+    _keyDescription(type) {
+        const isKem = type === KEY_TYPES.KEM_PUBLIC || type === KEY_TYPES.KEM_SECRET;
+        return {
+            algorithm: isKem ? 'x25519' : 'ed25519',
+            length: type === KEY_TYPES.SIGN_SECRET ? SIGN_SECRET_KEY_LENGTH : KEY_LENGTH
+        };
+    }
+
+    exportKey(key, type) {
+        return serializeKey({
+            algorithm: this._keyDescription(type).algorithm,
+            type,
+            bytes: decodeBase64(key)
+        });
+    }
+
+    importKey(serialized, type) {
+        const { algorithm, length } = this._keyDescription(type);
+        const { bytes } = deserializeKey(serialized, { algorithm, type });
+        if (bytes.length !== length) {
+            throw new ValidationError(`Invalid ${algorithm} ${type} key length: ${bytes.length}`);
+        }
+        return encodeBase64(bytes);
+    }
+
+    // ========== Key Validation Methods ==========
+
+    // Same rules as team_can_encrypt and team_can_decrypt in crypto.js
+    teamCanEncrypt(keys) {
+        return !!(keys.teamCurvePublic && keys.teamEdPrivate && keys.myCurvePublic && keys.myCurvePrivate);
+    }
+
+    teamCanDecrypt(keys) {
+        return !!(keys.teamCurvePrivate && keys.teamEdPublic);
+    }
+
+    // Partial key sets are allowed, as long as they can encrypt or decrypt
+    validateTeamKeys(keys) {
+        if (!this.teamCanEncrypt(keys) && !this.teamCanDecrypt(keys)) {
+            throw new MissingKeyError('Missing team keys: the key set can neither encrypt nor decrypt');
+        }
+
+        const expectedLengths = {
+            teamCurvePublic: KEY_LENGTH,
+            teamCurvePrivate: KEY_LENGTH,
+            myCurvePublic: KEY_LENGTH,
+            myCurvePrivate: KEY_LENGTH,
+            teamEdPublic: KEY_LENGTH,
+            teamEdPrivate: SIGN_SECRET_KEY_LENGTH
+        };
+
+        for (const [name, length] of Object.entries(expectedLengths)) {
+            if (!keys[name]) continue;
+            let decoded;
+            try {
+                decoded = decodeBase64(keys[name]);
+            } catch (e) {
+                throw new ValidationError(`Invalid base64 encoding for key ${name}`, { cause: e });
+            }
+            if (decoded.length !== length) {
+                throw new ValidationError(`Invalid ${name} length: ${decoded.length}`);
+            }
+        }
+
+        return true;
+    }
+}
+
+export function createWebCryptoProvider() {
+    return new WebCryptoProvider();
+}
@@ -0,0 +1,157 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ml_dsa44, ml_dsa65 } from "@noble/post-quantum/ml-dsa";
+import { ed25519 } from "@noble/curves/ed25519";
+import { sha512 } from "@noble/hashes/sha2";
+import { randomBytes } from "@noble/hashes/utils";
+import { registerSignatureScheme } from "./schemeRegistry.js";
+
+/*  Composite ML-DSA + Ed25519 signatures
+
+Keys and signatures are the concatenation of an ML-DSA part and an Ed25519 part,
+following draft-ietf-lamps-pq-composite-sigs:
+
+    publicKey = mldsaPK || ed25519PK (32)
+    secretKey = mldsaSK || ed25519SK (32)
+    signature = mldsaSig || ed25519Sig (64)
+    seed      = mldsaSeed (32) || ed25519SK (32)
+
+Both components sign the same domain-separated message
+
+    M' = Prefix || Label || len(ctx) || ctx || SHA-512(M)
+
+so a component signature cannot be stripped and reused on its own. A signature
+is only valid when both parts verify.
+*/
+
+const PREFIX = new TextEncoder().encode('CompositeAlgorithmSignatures2025');
+
+const ED25519_PUBLIC_KEY_LENGTH = 32;
+const ED25519_SECRET_KEY_LENGTH = 32;
+const ED25519_SIGNATURE_LENGTH = 64;
+const ML_DSA_SEED_LENGTH = 32;
+
+const concat = (...arrays) => {
+    const result = new Uint8Array(arrays.reduce((acc, arr) => acc + arr.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+};
+
+const createCompositeSignature = ({ mlDsa, mlDsaName, lengths, label }) => {
+    const labelBytes = new TextEncoder().encode(label);
+    // Empty application context
+    const context = new Uint8Array(0);
+
+    const compositeMessage = (data) => concat(
+        PREFIX,
+        labelBytes,
+        new Uint8Array([context.length]),
+        context,
+        sha512(data)
+    );
+
+    const split = (bytes, mlDsaLength, edLength, kind) => {
+        if (bytes.length !== mlDsaLength + edLength) {
+            throw new Error(`Invalid composite ${kind} length: ${bytes.length}`);
+        }
+        return [bytes.subarray(0, mlDsaLength), bytes.subarray(mlDsaLength)];
+    };
+
+    return {
+        sizes: {
+            publicKey: lengths.publicKey + ED25519_PUBLIC_KEY_LENGTH,
+            secretKey: lengths.secretKey + ED25519_SECRET_KEY_LENGTH,
+            signature: lengths.signature + ED25519_SIGNATURE_LENGTH,
+            seed: ML_DSA_SEED_LENGTH + ED25519_SECRET_KEY_LENGTH
+        },
+        components: [
+            {
+                name: mlDsaName,
+                publicKeySize: lengths.publicKey,
+                secretKeySize: lengths.secretKey,
+                signatureSize: lengths.signature
+            },
+            {
+                name: 'Ed25519',
+                publicKeySize: ED25519_PUBLIC_KEY_LENGTH,
+                secretKeySize: ED25519_SECRET_KEY_LENGTH,
+                signatureSize: ED25519_SIGNATURE_LENGTH
+            }
+        ],
+
+        keygen(seed = randomBytes(ML_DSA_SEED_LENGTH + ED25519_SECRET_KEY_LENGTH)) {
+            const [mlDsaSeed, edSecretKey] = split(seed, ML_DSA_SEED_LENGTH, ED25519_SECRET_KEY_LENGTH, 'seed');
+            const mlDsaKeys = mlDsa.keygen(mlDsaSeed);
+            const edPublicKey = ed25519.getPublicKey(edSecretKey);
+
+            return {
+                publicKey: concat(mlDsaKeys.publicKey, edPublicKey),
+                secretKey: concat(mlDsaKeys.secretKey, edSecretKey)
+            };
+        },
+
+        sign(secretKey, data) {
+            const [mlDsaSecretKey, edSecretKey] =
+                split(secretKey, lengths.secretKey, ED25519_SECRET_KEY_LENGTH, 'secret key');
+            const message = compositeMessage(data);
+
+            return concat(
+                mlDsa.sign(mlDsaSecretKey, message),
+                ed25519.sign(message, edSecretKey)
+            );
+        },
+
+        verify(publicKey, data, signature) {
+            try {
+                const [mlDsaPublicKey, edPublicKey] =
+                    split(publicKey, lengths.publicKey, ED25519_PUBLIC_KEY_LENGTH, 'public key');
+                const [mlDsaSignature, edSignature] =
+                    split(signature, lengths.signature, ED25519_SIGNATURE_LENGTH, 'signature');
+                const message = compositeMessage(data);
+
+                // Both components must verify, no short-circuit on the first result
+                const mlDsaValid = mlDsa.verify(mlDsaPublicKey, message, mlDsaSignature);
+                const edValid = ed25519.verify(edSignature, message, edPublicKey);
+                return mlDsaValid && edValid;
+            } catch (error) {
+                console.error('[CompositeSignature] Verification error:', error);
+                return false;
+            }
+        }
+    };
+};
+
+export const mlDsa44Ed25519 = createCompositeSignature({
+    mlDsa: ml_dsa44,
+    mlDsaName: 'ML-DSA-44',
+    lengths: { publicKey: 1312, secretKey: 2560, signature: 2420 },
+    label: 'COMPSIG-MLDSA44-Ed25519-SHA512'
+});
+
+export const mlDsa65Ed25519 = createCompositeSignature({
+    mlDsa: ml_dsa65,
+    mlDsaName: 'ML-DSA-65',
+    lengths: { publicKey: 1952, secretKey: 4032, signature: 3309 },
+    label: 'COMPSIG-MLDSA65-Ed25519-SHA512'
+});
+
+const compositeScheme = (name, composite, nistCategory) => ({
+    name,
+    family: 'Composite (ML-DSA + Ed25519)',
+    nistCategory,
+    sizes: composite.sizes,
+    // Both the ML-DSA and the Ed25519 part must verify
+    components: composite.components,
+    keygen: (seed) => composite.keygen(seed),
+    sign: (sk, data) => composite.sign(sk, data),
+    verify: (pk, data, signature) => composite.verify(pk, data, signature)
+});
+
+registerSignatureScheme('ml-dsa-44-ed25519', compositeScheme('ML-DSA-44 + Ed25519', mlDsa44Ed25519, 2));
+registerSignatureScheme('ml-dsa-65-ed25519', compositeScheme('ML-DSA-65 + Ed25519', mlDsa65Ed25519, 3));
@@ -0,0 +1,24 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ml_dsa44, ml_dsa65, ml_dsa87 } from "@noble/post-quantum/ml-dsa";
+import { registerSignatureScheme } from "./schemeRegistry.js";
+
+const mlDsaScheme = (name, mlDsa, nistCategory, sizes, options = {}) => ({
+    name,
+    family: 'ML-DSA (lattice-based)',
+    nistCategory,
+    sizes,
+    ...options,
+    keygen: (seed) => mlDsa.keygen(seed),
+    sign: (sk, data) => mlDsa.sign(sk, data),
+    verify: (pk, data, signature) => mlDsa.verify(pk, data, signature)
+});
+
+registerSignatureScheme('ml-dsa-44', mlDsaScheme('ML-DSA-44', ml_dsa44, 2,
+    { publicKey: 1312, secretKey: 2560, signature: 2420, seed: 32 }));
+registerSignatureScheme('ml-dsa-65', mlDsaScheme('ML-DSA-65', ml_dsa65, 3,
+    { publicKey: 1952, secretKey: 4032, signature: 3309, seed: 32 }));
+registerSignatureScheme('ml-dsa-87', mlDsaScheme('ML-DSA-87', ml_dsa87, 5,
+    { publicKey: 2592, secretKey: 4896, signature: 4627, seed: 32 }, { isDefault: true }));
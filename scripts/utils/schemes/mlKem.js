@@ -0,0 +1,24 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ml_kem512, ml_kem768, ml_kem1024 } from "@noble/post-quantum/ml-kem";
+import { registerKemScheme } from "./schemeRegistry.js";
+
+const mlKemScheme = (name, mlKem, nistCategory, sizes, options = {}) => ({
+    name,
+    family: 'ML-KEM (lattice-based)',
+    nistCategory,
+    sizes,
+    ...options,
+    keygen: (seed) => mlKem.keygen(seed),
+    encapsulate: (pk) => mlKem.encapsulate(pk),
+    decapsulate: (ct, sk) => mlKem.decapsulate(ct, sk)
+});
+
+registerKemScheme('ml-kem-512', mlKemScheme('ML-KEM-512', ml_kem512, 1,
+    { publicKey: 800, secretKey: 1632, ciphertext: 768, seed: 64 }));
+registerKemScheme('ml-kem-768', mlKemScheme('ML-KEM-768', ml_kem768, 3,
+    { publicKey: 1184, secretKey: 2400, ciphertext: 1088, seed: 64 }));
+registerKemScheme('ml-kem-1024', mlKemScheme('ML-KEM-1024', ml_kem1024, 5,
+    { publicKey: 1568, secretKey: 3168, ciphertext: 1568, seed: 64 }, { isDefault: true }));
@@ -0,0 +1,87 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/*  Crypto scheme registry
+
+Every KEM, signature scheme and symmetric cipher is registered here under an id
+(the value used by the UI and by getCryptoProvider options). Each entry carries
+its primitives and metadata describing it:
+
+    name          display name
+    family        optional, used to group entries in the UI
+    nistCategory  NIST security category (1 to 5), required for KEM and signatures
+    sizes         byte sizes, see REQUIRED_SIZES below. KEM and signature schemes also
+                  give the length of the seed their keygen(seed) accepts, so that
+                  keys can be derived deterministically (team keys for instance)
+    isDefault     optional, preselected in the UI
+
+Symmetric ciphers take encrypt(data, key, associatedData) and decrypt(encryptedData, key,
+associatedData), where the optional associated data is authenticated without being
+encrypted (block headers). They may also give seal(data, key, nonce) and open(ciphertext,
+key, nonce), with the nonce chosen by the caller, which streaming file encryption needs.
+
+Adding a scheme only needs a module calling one of the register functions,
+imported from cryptoSchemes.js (built-in) or at runtime before the UI is built.
+*/
+
+export const kemSchemes = {};
+export const signatureSchemes = {};
+export const symmetricCiphers = {};
+
+const REQUIRED_METHODS = {
+    kem: ['keygen', 'encapsulate', 'decapsulate'],
+    signature: ['keygen', 'sign', 'verify'],
+    symmetric: ['encrypt', 'decrypt']
+};
+
+const REQUIRED_SIZES = {
+    kem: ['publicKey', 'secretKey', 'ciphertext', 'seed'],
+    signature: ['publicKey', 'secretKey', 'signature', 'seed'],
+    symmetric: ['key', 'nonce', 'tag']
+};
+
+const validateScheme = (kind, id, scheme) => {
+    if (typeof id !== 'string' || !id) {
+        throw new Error(`Invalid ${kind} scheme id`);
+    }
+    if (!scheme || typeof scheme !== 'object') {
+        throw new Error(`Invalid ${kind} scheme definition for ${id}`);
+    }
+    if (typeof scheme.name !== 'string' || !scheme.name) {
+        throw new Error(`Missing display name for ${kind} scheme ${id}`);
+    }
+
+    const missingMethods = REQUIRED_METHODS[kind].filter(method => typeof scheme[method] !== 'function');
+    if (missingMethods.length > 0) {
+        throw new Error(`Missing methods for ${kind} scheme ${id}: ${missingMethods.join(', ')}`);
+    }
+
+    const missingSizes = REQUIRED_SIZES[kind].filter(size => !Number.isInteger(scheme.sizes?.[size]));
+    if (missingSizes.length > 0) {
+        throw new Error(`Missing sizes for ${kind} scheme ${id}: ${missingSizes.join(', ')}`);
+    }
+
+    if (kind !== 'symmetric' && ![1, 2, 3, 4, 5].includes(scheme.nistCategory)) {
+        throw new Error(`Invalid NIST category for ${kind} scheme ${id}: ${scheme.nistCategory}`);
+    }
+};
+
+const register = (registry, kind) => (id, scheme) => {
+    validateScheme(kind, id, scheme);
+    if (registry[id]) {
+        throw new Error(`A ${kind} scheme is already registered as ${id}`);
+    }
+    registry[id] = { id, ...scheme };
+    return registry[id];
+};
+
+const list = (registry) => () => Object.values(registry);
+
+export const registerKemScheme = register(kemSchemes, 'kem');
+export const registerSignatureScheme = register(signatureSchemes, 'signature');
+export const registerSymmetricCipher = register(symmetricCiphers, 'symmetric');
+
+export const listKemSchemes = list(kemSchemes);
+export const listSignatureSchemes = list(signatureSchemes);
+export const listSymmetricCiphers = list(symmetricCiphers);
@@ -0,0 +1,25 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import {
+    slh_dsa_sha2_128s, slh_dsa_sha2_128f,
+    slh_dsa_shake_128s, slh_dsa_shake_128f
+} from "@noble/post-quantum/slh-dsa";
+import { registerSignatureScheme } from "./schemeRegistry.js";
+
+// Hash-based (SPHINCS+): "s" variants favour small signatures, "f" variants fast signing
+const slhDsaScheme = (name, slhDsa, signatureSize) => ({
+    name,
+    family: 'SLH-DSA (hash-based)',
+    nistCategory: 1,
+    sizes: { publicKey: 32, secretKey: 64, signature: signatureSize, seed: 48 },
+    keygen: (seed) => slhDsa.keygen(seed),
+    sign: (sk, data) => slhDsa.sign(sk, data),
+    verify: (pk, data, signature) => slhDsa.verify(pk, data, signature)
+});
+
+registerSignatureScheme('slh-dsa-sha2-128s', slhDsaScheme('SLH-DSA-SHA2-128s', slh_dsa_sha2_128s, 7856));
+registerSignatureScheme('slh-dsa-sha2-128f', slhDsaScheme('SLH-DSA-SHA2-128f', slh_dsa_sha2_128f, 17088));
+registerSignatureScheme('slh-dsa-shake-128s', slhDsaScheme('SLH-DSA-SHAKE-128s', slh_dsa_shake_128s, 7856));
+registerSignatureScheme('slh-dsa-shake-128f', slhDsaScheme('SLH-DSA-SHAKE-128f', slh_dsa_shake_128f, 17088));
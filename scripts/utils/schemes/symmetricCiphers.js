@@ -0,0 +1,62 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { gcm } from "@noble/ciphers/aes";
+import { chacha20poly1305, xchacha20poly1305 } from "@noble/ciphers/chacha";
+import { xsalsa20poly1305 } from "@noble/ciphers/salsa";
+import { hkdf } from "@noble/hashes/hkdf";
+import { sha256 } from "@noble/hashes/sha2";
+import { randomBytes } from "@noble/hashes/utils";
+import { registerSymmetricCipher } from "./schemeRegistry.js";
+
+const ASSOCIATED_DATA_INFO = new TextEncoder().encode('CryptPad.AssociatedData');
+
+// Secretbox has no associated data: the message key is derived from it instead, so the
+// ciphertext only opens with the same associated data, as with the other AEADs
+const keyBoundAead = (aead) => (key, nonce, associatedData) => {
+    if (!associatedData) return aead(key, nonce);
+    const info = new Uint8Array(ASSOCIATED_DATA_INFO.length + associatedData.length);
+    info.set(ASSOCIATED_DATA_INFO);
+    info.set(associatedData, ASSOCIATED_DATA_INFO.length);
+    return aead(hkdf(sha256, key, undefined, info, key.length), nonce);
+};
+
+// Output layout: nonce || ciphertext, the nonce is picked at random for every message.
+// seal and open take the nonce from the caller, for constructions that derive it (file chunks).
+// associatedData is authenticated but not encrypted, the same bytes must be given to decrypt.
+const nonceCipher = (name, aeadWithAssociatedData, nonceLength, options = {}) => {
+    // Without associated data the cipher is called as it always was
+    const aead = (key, nonce, associatedData) => associatedData?.length
+        ? aeadWithAssociatedData(key, nonce, associatedData)
+        : aeadWithAssociatedData(key, nonce);
+
+    return {
+        name,
+        nonceLength,
+        sizes: { key: 32, nonce: nonceLength, tag: 16 },
+        ...options,
+        encrypt: (data, key, associatedData) => {
+            const nonce = randomBytes(nonceLength);
+            const ciphertext = aead(key, nonce, associatedData).encrypt(data);
+            const result = new Uint8Array(nonce.length + ciphertext.length);
+            result.set(nonce);
+            result.set(ciphertext, nonce.length);
+            return result;
+        },
+        decrypt: (encryptedData, key, associatedData) => {
+            const nonce = encryptedData.slice(0, nonceLength);
+            const ciphertext = encryptedData.slice(nonceLength);
+            return aead(key, nonce, associatedData).decrypt(ciphertext);
+        },
+        seal: (data, key, nonce, associatedData) => aead(key, nonce, associatedData).encrypt(data),
+        open: (ciphertext, key, nonce, associatedData) => aead(key, nonce, associatedData).decrypt(ciphertext)
+    };
+};
+
+registerSymmetricCipher('aes-gcm', nonceCipher('AES-GCM', gcm, 12, { isDefault: true }));
+registerSymmetricCipher('chacha20-poly1305', nonceCipher('ChaCha20-Poly1305', chacha20poly1305, 12));
+// 24-byte nonces are large enough to be picked at random without collision concerns
+registerSymmetricCipher('xchacha20-poly1305', nonceCipher('XChaCha20-Poly1305', xchacha20poly1305, 24));
+// Same construction as Nacl.secretbox in crypto.js
+registerSymmetricCipher('xsalsa20-poly1305', nonceCipher('XSalsa20-Poly1305 (secretbox)', keyBoundAead(xsalsa20poly1305), 24));
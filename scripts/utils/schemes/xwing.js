@@ -0,0 +1,123 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { ml_kem768 } from "@noble/post-quantum/ml-kem";
+import { x25519 } from "@noble/curves/ed25519";
+import { sha3_256, shake256 } from "@noble/hashes/sha3";
+import { randomBytes } from "@noble/hashes/utils";
+import { registerKemScheme } from "./schemeRegistry.js";
+
+/*  X-Wing hybrid KEM (X25519 + ML-KEM-768)
+
+The shared secret stays secure as long as either X25519 or ML-KEM-768 is unbroken.
+Both shared secrets are fed to the combiner together with the X25519 ciphertext and
+public key, as in draft-connolly-cfrg-xwing-kem:
+
+    ss = SHA3-256(ss_M || ss_X || ct_X || pk_X || XWingLabel)
+
+Layouts:
+    publicKey  = pk_M (1184) || pk_X (32)
+    secretKey  = sk_M (2400) || sk_X (32) || pk_X (32)
+    cipherText = ct_M (1088) || ct_X (32)
+
+The secret key is kept in its expanded form rather than as a 32-byte seed so that
+decapsulation does not pay for an ML-KEM key generation on every message. Key
+generation still starts from that seed, expanded with SHAKE-256 into the ML-KEM
+seed (d || z) and the X25519 secret key.
+*/
+
+const XWING_LABEL = new Uint8Array([0x5c, 0x2e, 0x2f, 0x2f, 0x5e, 0x5c]); // \.//^\
+
+const ML_KEM_PUBLIC_KEY_LENGTH = 1184;
+const ML_KEM_SECRET_KEY_LENGTH = 2400;
+const ML_KEM_CIPHERTEXT_LENGTH = 1088;
+const X25519_KEY_LENGTH = 32;
+const SEED_LENGTH = 32;
+const ML_KEM_SEED_LENGTH = 64;
+
+const concat = (...arrays) => {
+    const result = new Uint8Array(arrays.reduce((acc, arr) => acc + arr.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+};
+
+const combiner = (ssM, ssX, ctX, pkX) => sha3_256(concat(ssM, ssX, ctX, pkX, XWING_LABEL));
+
+export const xwing = {
+    publicKeyLength: ML_KEM_PUBLIC_KEY_LENGTH + X25519_KEY_LENGTH,
+    secretKeyLength: ML_KEM_SECRET_KEY_LENGTH + 2 * X25519_KEY_LENGTH,
+    cipherTextLength: ML_KEM_CIPHERTEXT_LENGTH + X25519_KEY_LENGTH,
+    seedLength: SEED_LENGTH,
+
+    keygen(seed = randomBytes(SEED_LENGTH)) {
+        if (seed.length !== SEED_LENGTH) {
+            throw new Error(`Invalid X-Wing seed length: ${seed.length}`);
+        }
+        const expanded = shake256(seed, { dkLen: ML_KEM_SEED_LENGTH + X25519_KEY_LENGTH });
+        const kem = ml_kem768.keygen(expanded.subarray(0, ML_KEM_SEED_LENGTH));
+        const skX = expanded.slice(ML_KEM_SEED_LENGTH);
+        const pkX = x25519.getPublicKey(skX);
+
+        return {
+            publicKey: concat(kem.publicKey, pkX),
+            secretKey: concat(kem.secretKey, skX, pkX)
+        };
+    },
+
+    encapsulate(publicKey) {
+        if (publicKey.length !== xwing.publicKeyLength) {
+            throw new Error(`Invalid X-Wing public key length: ${publicKey.length}`);
+        }
+        const pkM = publicKey.subarray(0, ML_KEM_PUBLIC_KEY_LENGTH);
+        const pkX = publicKey.subarray(ML_KEM_PUBLIC_KEY_LENGTH);
+
+        const ekX = randomBytes(X25519_KEY_LENGTH);
+        const ctX = x25519.getPublicKey(ekX);
+        const ssX = x25519.getSharedSecret(ekX, pkX);
+        const { cipherText: ctM, sharedSecret: ssM } = ml_kem768.encapsulate(pkM);
+
+        return {
+            cipherText: concat(ctM, ctX),
+            sharedSecret: combiner(ssM, ssX, ctX, pkX)
+        };
+    },
+
+    decapsulate(cipherText, secretKey) {
+        if (cipherText.length !== xwing.cipherTextLength) {
+            throw new Error(`Invalid X-Wing ciphertext length: ${cipherText.length}`);
+        }
+        if (secretKey.length !== xwing.secretKeyLength) {
+            throw new Error(`Invalid X-Wing secret key length: ${secretKey.length}`);
+        }
+        const ctM = cipherText.subarray(0, ML_KEM_CIPHERTEXT_LENGTH);
+        const ctX = cipherText.subarray(ML_KEM_CIPHERTEXT_LENGTH);
+        const skM = secretKey.subarray(0, ML_KEM_SECRET_KEY_LENGTH);
+        const skX = secretKey.subarray(ML_KEM_SECRET_KEY_LENGTH, ML_KEM_SECRET_KEY_LENGTH + X25519_KEY_LENGTH);
+        const pkX = secretKey.subarray(ML_KEM_SECRET_KEY_LENGTH + X25519_KEY_LENGTH);
+
+        const ssM = ml_kem768.decapsulate(ctM, skM);
+        const ssX = x25519.getSharedSecret(skX, ctX);
+
+        return combiner(ssM, ssX, ctX, pkX);
+    }
+};
+
+registerKemScheme('x-wing', {
+    name: 'X-Wing (X25519 + ML-KEM-768)',
+    family: 'Hybrid',
+    nistCategory: 3,
+    sizes: {
+        publicKey: xwing.publicKeyLength,
+        secretKey: xwing.secretKeyLength,
+        ciphertext: xwing.cipherTextLength,
+        seed: xwing.seedLength
+    },
+    keygen: (seed) => xwing.keygen(seed),
+    encapsulate: (pk) => xwing.encapsulate(pk),
+    decapsulate: (ct, sk) => xwing.decapsulate(ct, sk)
+});
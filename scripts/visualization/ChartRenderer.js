@@ -2,9 +2,14 @@
 //
 // SPDX-License-Identifier: AGPL-3.0-or-later
 
+import Chart from 'chart.js/auto';
+import * as d3 from 'd3';
+import { saveAs } from 'file-saver';
+
 export class ChartRenderer {
-    constructor(data) {
+    constructor(data, runHistory = []) {
         this.data = data || {};
+        this.runHistory = runHistory;
     }
 
     // Core rendering helper for all visualizations
@@ -481,7 +486,7 @@ export class ChartRenderer {
             const sizeData = this.data.cryptoSizes || {
                 scheme: 'N/A',
                 keyPairs: { kem: { publicKeySize: 0, privateKeySize: 0 }, signature: { publicKeySize: 0, privateKeySize: 0 } },
-                messages: { ciphertextSize: 0, signatureSize: 0 },
+                messages: { ciphertextSize: 0, signatureSize: 0, wireSize: 0 },
                 count: 0,
                 averageTime: { encrypt: 0, decrypt: 0, sign: 0, verify: 0 }
             };
@@ -519,7 +524,7 @@ export class ChartRenderer {
                     plugins: {
                         title: {
                             display: true,
-                            text: `Cryptographic Operation Times (${sizeData.scheme})`
+                            text: `Cryptographic Operation Times (${this.formatSchemeLabel(sizeData)})`
                         },
                         tooltip: {
                             callbacks: {
@@ -549,6 +554,89 @@ export class ChartRenderer {
         }
     }
 
+    // 5. Scheme Comparison Across Runs
+    renderSchemeComparison(containerId) {
+        try {
+            if (!this.runHistory?.length) {
+                throw new Error('No completed runs available for comparison');
+            }
+
+            const { container, chartContainer, element: canvas } =
+            this.prepareContainer(containerId, 'schemeComparisonChart', 350) || {};
+            if (!container) return;
+
+            const downloadBtn = this.createDownloadButton('schemeComparisonChart', 'scheme-comparison.png');
+            chartContainer.appendChild(downloadBtn);
+
+            const labels = this.runHistory.map(entry =>
+                `#${entry.run} ${this.formatSchemeLabel(entry.cryptoSizes)} (${entry.encryptorType})`);
+            const timeDataset = (label, key, color) => ({
+                label,
+                data: this.runHistory.map(entry => entry.cryptoSizes.averageTime[key] || 0),
+                backgroundColor: color.replace(', 1)', ', 0.7)'),
+                borderColor: color,
+                borderWidth: 1,
+                yAxisID: 'y'
+            });
+
+            new Chart(canvas, {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [
+                        timeDataset('Encryption Time (ms)', 'encrypt', 'rgba(52, 152, 219, 1)'),
+                        timeDataset('Decryption Time (ms)', 'decrypt', 'rgba(46, 204, 113, 1)'),
+                        timeDataset('Signing Time (ms)', 'sign', 'rgba(155, 89, 182, 1)'),
+                        timeDataset('Verification Time (ms)', 'verify', 'rgba(241, 196, 15, 1)'),
+                        timeDataset('Symmetric Cipher Time (ms)', 'symmetric', 'rgba(26, 188, 156, 1)'),
+                        timeDataset('Key Derivation Time (ms)', 'keyDerivation', 'rgba(127, 140, 141, 1)'),
+                        {
+                            type: 'line',
+                            label: 'Average Ciphertext (bytes)',
+                            data: this.runHistory.map(entry => entry.cryptoSizes.messages.ciphertextSize || 0),
+                            borderColor: 'rgba(231, 76, 60, 1)',
+                            backgroundColor: 'transparent',
+                            yAxisID: 'y1'
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: 'Average Operation Cost per Run'
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            position: 'left',
+                            title: { display: true, text: 'Time (milliseconds)' }
+                        },
+                        y1: {
+                            beginAtZero: true,
+                            position: 'right',
+                            grid: { drawOnChartArea: false },
+                            title: { display: true, text: 'Size (bytes)' }
+                        }
+                    }
+                }
+            });
+        } catch (error) {
+            this.handleVisualizationError(document.getElementById(containerId), error, 'scheme comparison chart');
+        }
+    }
+
+    formatSchemeLabel(sizeData) {
+        const parameterSets = [sizeData.kemScheme, sizeData.signatureScheme, sizeData.symmetricCipher]
+            .filter(name => name && name !== 'N/A');
+
+        return parameterSets.length > 0
+            ? `${sizeData.scheme}: ${parameterSets.join(' / ')}`
+            : sizeData.scheme;
+    }
+
     createSizeTable(container, sizeData) {
         const tableContainer = document.createElement('div');
         tableContainer.className = 'size-table-container';
@@ -628,6 +716,28 @@ export class ChartRenderer {
                 single: sizeData.messages.signatureSize,
                 cumulative: cumulativeData.signature
             },
+            // Whole encoded message, ciphertext and signature included, so not added to the total
+            ...(sizeData.messages.wireSize ? [{
+                label: '↳ Average Message on the Wire',
+                single: sizeData.messages.wireSize,
+                cumulative: sizeData.messages.wireSize * count,
+                breakdown: true
+            }] : []),
+            // Breakdown of composite signature keys, already included in the rows above
+            ...(sizeData.signatureComponents || []).flatMap(component => [
+                {
+                    label: `↳ ${component.name} Public Key Part`,
+                    single: component.publicKeySize,
+                    cumulative: component.publicKeySize * count,
+                    breakdown: true
+                },
+                {
+                    label: `↳ ${component.name} Signature Part`,
+                    single: component.signatureSize,
+                    cumulative: component.signatureSize * count,
+                    breakdown: true
+                }
+            ]),
             // Total row
             {
                 label: 'TOTAL',
@@ -649,10 +759,15 @@ export class ChartRenderer {
                 tr.style.borderTop = '2px solid #ddd';
             }
 
+            if (row.breakdown) {
+                tr.style.color = '#666';
+                tr.style.fontSize = '0.9em';
+            }
+
             // Component column
             const tdLabel = document.createElement('td');
             tdLabel.textContent = row.label;
-            tdLabel.style.padding = '8px';
+            tdLabel.style.padding = row.breakdown ? '4px 8px 4px 24px' : '8px';
             tr.appendChild(tdLabel);
 
             // Single size column
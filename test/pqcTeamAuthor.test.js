@@ -0,0 +1,78 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPQCProvider, WIRE_MESSAGE_TYPES } from '../scripts/utils/providers/pqcProvider.js';
+import { CRYPTO_ERROR_CODES } from '../scripts/utils/cryptoErrors.js';
+
+const includesBytes = (haystack, needle) => {
+    outer: for (let i = 0; i + needle.length <= haystack.length; i++) {
+        for (let j = 0; j < needle.length; j++) {
+            if (haystack[i + j] !== needle[j]) continue outer;
+        }
+        return true;
+    }
+    return false;
+};
+
+const createTeam = async () => {
+    const provider = createPQCProvider();
+    await provider.init();
+
+    const teamSeed = provider.createTeamSeed();
+    const members = [0, 1].map(() => {
+        const { publicKey, secretKey } = provider.generateKEMKeyPair();
+        return provider.deriveTeamMemberKeys(teamSeed, { curvePublic: publicKey, curvePrivate: secretKey });
+    });
+    return { provider, members };
+};
+
+test('team outer bundles do not tell their authors apart', async () => {
+    const { provider, members } = await createTeam();
+    const authors = members.map(keys => provider.deriveTeamAuthorKeys(keys.myCurvePrivate).publicKey);
+    const payload = 'The same message from two members';
+
+    const messages = await Promise.all(members.map(keys => provider.teamEncrypt(payload, keys)));
+    const envelopes = messages.map(message => provider.decodeEnvelope(message, WIRE_MESSAGE_TYPES.TEAM));
+
+    assert.equal(envelopes[0].fields.length, envelopes[1].fields.length);
+    assert.deepEqual(
+        envelopes[0].fields.map(field => field.length),
+        envelopes[1].fields.map(field => field.length)
+    );
+
+    for (const message of messages) {
+        const bytes = provider.decodeBase64(message);
+        for (const [i, keys] of members.entries()) {
+            assert.ok(!includesBytes(bytes, keys.myCurvePublic), 'a member public key is visible outside');
+            assert.ok(!includesBytes(bytes, authors[i]), 'an author public key is visible outside');
+        }
+    }
+
+    for (const [i, message] of messages.entries()) {
+        const { content, author } = await provider.teamDecrypt(message, members[1 - i], false);
+        assert.equal(content, payload);
+        assert.deepEqual(author, authors[i]);
+    }
+});
+
+test('team messages claiming another author are rejected', async () => {
+    const { provider, members } = await createTeam();
+    const [forger, victim] = members;
+    const message = await provider.teamEncrypt('Written by the forger', forger);
+
+    // A member holding the team keys swaps the author inside the outer layer and seals it again
+    const innerBundle = provider.decodeTeamInnerBundle(await provider.openTeamMessage(message, forger, false));
+    const forged = await provider.sealTeamInnerBundle(
+        provider.encodeTeamInnerBundle({
+            ...innerBundle,
+            authorPublicKey: provider.deriveTeamAuthorKeys(victim.myCurvePrivate).publicKey
+        }),
+        forger
+    );
+
+    await assert.rejects(provider.teamDecrypt(forged, victim, false), { code: CRYPTO_ERROR_CODES.VALIDATION_FAILURE });
+    await assert.rejects(provider.teamDecrypt(forged, victim, true), { code: CRYPTO_ERROR_CODES.VALIDATION_FAILURE });
+});
@@ -0,0 +1,30 @@
+// SPDX-FileCopyrightText: 2025 XWiki CryptPad Team <contact@cryptpad.org> and Iulian-Tudor Scutaru
+//
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Bundles the app with its crypto and charting dependencies so index.html never hits a CDN
+export default (env, argv) => ({
+    mode: argv.mode || 'development',
+    entry: './scripts/App.js',
+    output: {
+        path: path.resolve(rootDir, 'dist'),
+        filename: 'app.js',
+        publicPath: 'auto',
+        clean: true
+    },
+    devtool: argv.mode === 'production' ? false : 'source-map',
+    performance: {
+        // Chart.js, d3 and the post-quantum schemes are expected to be large
+        hints: false
+    },
+    devServer: {
+        static: { directory: rootDir },
+        devMiddleware: { publicPath: '/dist/' },
+        port: 8080
+    }
+});